@@ -0,0 +1,10 @@
+exports['check-browser-versions checkBrowserVersions forms the table with every browser and skipped image 1'] = `
+Image                                              Browser  Tag  Pinned        Found         Result
+cypress/browsers:node14.16.0-chrome89-ff86         chrome   89   89.0.4389.72  89.0.4389.72  ✓
+cypress/browsers:node14.16.0-chrome89-ff86         firefox  86   86.0.1        86.0.1        ✓
+cypress/browsers:node14.16.0-chrome89-ff86-edge91                                            skipped: not pulled
+cypress/browsers:node14.16.0-chrome90              chrome   90   89.0.4389.72  89.0.4389.72  ✗ tag has chrome 90, but the image has 89.0.4389.72
+cypress/browsers:node14.16.0-chrome90              firefox       86.0.1        86.0.1        ✓
+
+checked 2 of 3 browsers images, skipped 1, failed 0
+`
@@ -0,0 +1,407 @@
+// @ts-check
+// audits the image folders: the Dockerfile FROM image, the pinned browser versions
+// and the installed Cypress version should agree with the folder tag, the image manifest,
+// the browser catalog and the README tables, the aliases should point to pushed images. Exits with code 1 if anything disagrees.
+//   npm run audit
+// audit some folders only, or print the report as JSON
+//   npm run audit -- browsers/node12.18.3-chrome87-ff82 included/6.4.0
+//   npm run audit -- --json
+const globby = require('globby')
+const fs = require('fs')
+const path = require('path')
+const arg = require('arg')
+const semver = require('semver')
+const {parseTag, splitImageName} = require('./image-tag')
+const {loadManifest} = require('./image-manifest')
+const {readDockerfile} = require('./dockerfile')
+const {loadCatalog} = require('./browser-catalog')
+const {shouldBuild} = require('./image-status')
+const {tableStart, tableEnd, updateReadme} = require('./generate-readme')
+const {aliasesFilename, loadAliases, aliasProblems} = require('./image-aliases')
+
+const imageKinds = ['base', 'browsers', 'included']
+
+/**
+ * @typedef {object} AuditProblem
+ * @property {string} folder Image folder like "base/12.18.3" or README file like "base/README.md"
+ * @property {string} check What disagrees, like "from", "chrome" or "readme"
+ * @property {string} message
+ */
+
+/**
+ * Returns the major version like "87" from "87.0.4280.66"
+ * @param {string|number} version
+ */
+const majorOf = (version) => String(version).split('.')[0]
+
+/**
+ * Returns true if the version is the same as the given partial version,
+ * for example "12.18.3" matches "12.18.3", "12.18" and "12"
+ * @param {string} version
+ * @param {string} partial
+ */
+const matchesVersion = (version, partial) => version === partial || version.startsWith(`${partial}.`)
+
+const browserTitles = {
+  chrome: 'Chrome',
+  firefox: 'Firefox',
+  edge: 'Edge'
+}
+
+/**
+ * Finds which browsers the image has and their versions, the version is null
+ * if the browser is installed, but not pinned. The images FROM another browsers image
+ * have its browsers too, they are found using its Dockerfile or tag
+ * @param {string} folder Image folder like "browsers/node12.18.3-chrome87-ff82"
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ * @returns {{[browser: string]: string|null}}
+ */
+const installedBrowsers = (folder, dockerfile) => {
+  let installed = {}
+  const from = splitImageName(dockerfile.from)
+  if (from.name === 'cypress/browsers') {
+    const parentFolder = path.join(path.dirname(folder), from.tag)
+    const parentDockerfile = readDockerfile(parentFolder)
+    if (parentDockerfile && parentDockerfile.from !== dockerfile.from) {
+      installed = installedBrowsers(parentFolder, parentDockerfile)
+    } else {
+      const {browsers} = parseTag(from.tag, 'browsers')
+      Object.keys(browsers).forEach((browser) => {
+        installed[browser] = null
+      })
+    }
+  }
+  if (dockerfile.installsChrome || dockerfile.chromeVersion) {
+    installed.chrome = dockerfile.chromeVersion
+  }
+  if (dockerfile.firefoxUrlVersion || dockerfile.firefoxVersion) {
+    installed.firefox = dockerfile.firefoxUrlVersion || dockerfile.firefoxVersion
+  }
+  if (dockerfile.edgeChannel || dockerfile.edgeVersion) {
+    installed.edge = dockerfile.edgePackageVersion || dockerfile.edgeVersion
+  }
+  return installed
+}
+
+/**
+ * Returns the Node version the image has: installed by the Dockerfile itself,
+ * or from the FROM image tag like "node:12.18.3-buster" or "cypress/base:12.18.3".
+ * Returns null if the FROM image does not tell, like "ubuntu:20.04"
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ */
+const imageNodeVersion = (dockerfile) => {
+  if (dockerfile.nodeVersion) {
+    return dockerfile.nodeVersion
+  }
+  const from = splitImageName(dockerfile.from)
+  if (from.name === 'node') {
+    const matches = /^(\d+(?:\.\d+){0,2})/.exec(from.tag)
+    return matches ? matches[1] : null
+  }
+  if (from.name === 'cypress/base' || from.name === 'cypress/browsers') {
+    return parseTag(from.tag, 'browsers').node
+  }
+  return null
+}
+
+/**
+ * @param {string} folder
+ * @param {import('./image-tag').ImageTag} parsed
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ * @returns {AuditProblem[]}
+ */
+const auditNode = (folder, parsed, dockerfile) => {
+  const nodeVersion = imageNodeVersion(dockerfile)
+  if (parsed.node && nodeVersion && !matchesVersion(nodeVersion, parsed.node)) {
+    const source = dockerfile.nodeVersion ? `installs Node ${nodeVersion}` : `is FROM ${dockerfile.from}`
+    return [{folder, check: 'node', message: `tag has Node ${parsed.node}, but the Dockerfile ${source}`}]
+  }
+  return []
+}
+
+/**
+ * @param {string} folder
+ * @param {import('./image-tag').ImageTag} parsed
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ * @returns {AuditProblem[]}
+ */
+const auditBase = (folder, parsed, dockerfile) => auditNode(folder, parsed, dockerfile)
+
+/**
+ * @param {string} folder
+ * @param {import('./image-tag').ImageTag} parsed
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ * @param {import('./image-manifest').ImageManifest} manifest
+ * @param {import('./browser-catalog').BrowserCatalog} catalog
+ * @returns {AuditProblem[]}
+ */
+const auditBrowsers = (folder, parsed, dockerfile, manifest, catalog) => {
+  const problems = []
+  const fromName = splitImageName(dockerfile.from).name
+  if (!['cypress/base', 'cypress/browsers', 'node'].includes(fromName)) {
+    problems.push({folder, check: 'from', message: `expected FROM cypress/base, cypress/browsers or node image, but it is FROM ${dockerfile.from}`})
+  }
+  problems.push(...auditNode(folder, parsed, dockerfile))
+
+  const installed = installedBrowsers(folder, dockerfile)
+  Object.keys(browserTitles).forEach((browser) => {
+    const title = browserTitles[browser]
+    const tagMajor = parsed.browsers[browser]
+    if (tagMajor && !(browser in installed)) {
+      problems.push({folder, check: browser, message: `tag has ${title} ${tagMajor}, but the Dockerfile does not install ${title}`})
+      return
+    }
+    if (!tagMajor && browser in installed) {
+      problems.push({folder, check: browser, message: `Dockerfile installs ${title}, but the tag does not have it`})
+      return
+    }
+    const version = installed[browser]
+    if (!version) {
+      // not installed or not pinned, nothing to compare
+      return
+    }
+    if (majorOf(version) !== String(tagMajor)) {
+      problems.push({folder, check: browser, message: `tag has ${title} ${tagMajor}, but the Dockerfile installs ${title} ${version}`})
+      return
+    }
+    const manifestVersion = manifest.browsers[browser]
+    if (manifestVersion && manifestVersion !== version && manifestVersion !== majorOf(version)) {
+      problems.push({folder, check: browser, message: `manifest has ${title} ${manifestVersion}, but the Dockerfile installs ${title} ${version}`})
+    }
+    // the published images keep the versions they were built with
+    if (!shouldBuild(manifest.status) || !catalog[browser]) {
+      return
+    }
+    const release = catalog[browser].majors[majorOf(version)]
+    if (!release) {
+      problems.push({folder, check: 'catalog', message: `${title} ${majorOf(version)} is not in the browser catalog, run "npm run update:catalog"`})
+    } else if (release.version !== version) {
+      problems.push({folder, check: 'catalog', message: `Dockerfile installs ${title} ${version}, but the browser catalog has ${release.version}`})
+    }
+  })
+  return problems
+}
+
+/**
+ * The published images built FROM a parent image that does not follow the tag rules.
+ * Their folders record the parent they were built from, thus the audit accepts it
+ */
+const knownParents = {
+  'included/4.0.0': 'cypress/browsers:node13.6.0-chrome-80-ff72'
+}
+
+/**
+ * Checks the FROM image of this repository like "cypress/browsers:node12.18.3-chrome87-ff82"
+ * has a valid tag and an image folder next to the image kind folder
+ * @param {string} folder Image folder like "included/6.4.0"
+ * @param {string} fromImage
+ * @returns {AuditProblem[]}
+ */
+const auditParent = (folder, fromImage) => {
+  if (knownParents[path.relative(__dirname, path.resolve(folder))] === fromImage) {
+    return []
+  }
+  const from = splitImageName(fromImage)
+  const kind = /** @type {import('./image-tag').ImageKind} */ (from.name.split('/')[1])
+  try {
+    parseTag(from.tag, kind)
+  } catch (e) {
+    return [{folder, check: 'from', message: `FROM ${fromImage} has invalid tag: ${e.message}`}]
+  }
+  const parentFolder = path.join(path.dirname(path.dirname(folder)), kind, from.tag)
+  if (!fs.existsSync(parentFolder)) {
+    return [{folder, check: 'from', message: `FROM ${fromImage} is unknown, there is no image folder ${kind}/${from.tag}`}]
+  }
+  return []
+}
+
+/**
+ * @param {string} folder
+ * @param {import('./image-tag').ImageTag} parsed
+ * @param {import('./dockerfile').DockerfileInfo} dockerfile
+ * @returns {AuditProblem[]}
+ */
+const auditIncluded = (folder, parsed, dockerfile) => {
+  const problems = []
+  // the first included images only had the built-in Electron browser
+  const from = splitImageName(dockerfile.from)
+  if (from.name !== 'cypress/browsers' && from.name !== 'cypress/base') {
+    problems.push({folder, check: 'from', message: `expected FROM cypress/browsers or cypress/base image, but it is FROM ${dockerfile.from}`})
+  } else {
+    problems.push(...auditParent(folder, dockerfile.from))
+  }
+  // the custom Cypress build is installed from its NPM tarball, its version is only in the tag
+  if (!dockerfile.cypressVersion && dockerfile.cypressPackage && semver.prerelease(parsed.cypress)) {
+    return problems
+  }
+  if (!dockerfile.cypressVersion) {
+    problems.push({folder, check: 'cypress', message: 'Dockerfile does not install Cypress with "npm install -g cypress@<version>"'})
+  } else if (dockerfile.cypressVersion !== parsed.cypress) {
+    problems.push({folder, check: 'cypress', message: `tag has Cypress ${parsed.cypress}, but the Dockerfile installs cypress@${dockerfile.cypressVersion}`})
+  }
+  return problems
+}
+
+const auditors = {
+  base: auditBase,
+  browsers: auditBrowsers,
+  included: auditIncluded
+}
+
+/**
+ * Audits the image folder like "browsers/node12.18.3-chrome87-ff82"
+ * @param {string} folder
+ * @param {import('./browser-catalog').BrowserCatalog} [catalog]
+ * @returns {AuditProblem[]}
+ */
+const auditImage = (folder, catalog = loadCatalog()) => {
+  const kind = path.basename(path.dirname(folder))
+  let parsed
+  let manifest
+  try {
+    parsed = parseTag(path.basename(folder), /** @type {import('./image-tag').ImageKind} */ (kind))
+    manifest = loadManifest(folder)
+  } catch (e) {
+    return [{folder, check: 'tag', message: e.message}]
+  }
+  const dockerfile = readDockerfile(folder)
+  if (!dockerfile) {
+    return [{folder, check: 'dockerfile', message: 'folder has no Dockerfile'}]
+  }
+  if (!dockerfile.from) {
+    return [{folder, check: 'from', message: 'Dockerfile has no FROM line'}]
+  }
+  const problems = auditors[kind](folder, parsed, dockerfile, manifest, catalog)
+  if (manifest.from && manifest.from !== dockerfile.from) {
+    problems.push({folder, check: 'from', message: `manifest is FROM ${manifest.from}, but the Dockerfile is FROM ${dockerfile.from}`})
+  }
+  return problems
+}
+
+/**
+ * Checks the README table of the image kind lists every image folder except the drafts,
+ * and does not list the images without a folder
+ * @param {string} kind
+ * @returns {AuditProblem[]}
+ */
+const auditReadme = (kind) => {
+  const {filename, current, updated} = updateReadme(kind)
+  const start = current.indexOf(tableStart)
+  const end = current.indexOf(tableEnd)
+  const table = current.slice(start, end)
+  const listed = new Set()
+  const imageRegex = new RegExp(`cypress/${kind}:([^\\]\\s|)]+)`)
+  table.split('\n').forEach((line) => {
+    const matches = imageRegex.exec(line.split('|')[0])
+    if (matches) {
+      listed.add(matches[1])
+    }
+  })
+
+  const problems = []
+  const folders = globby.sync(`${kind}/*`, {onlyDirectories: true})
+  folders.forEach((folder) => {
+    const tag = path.basename(folder)
+    if (!listed.has(tag) && loadManifest(folder).status !== 'draft') {
+      problems.push({folder: filename, check: 'readme', message: `table does not list image cypress/${kind}:${tag}`})
+    }
+  })
+  listed.forEach((tag) => {
+    if (!folders.includes(`${kind}/${tag}`)) {
+      problems.push({folder: filename, check: 'readme', message: `table lists image cypress/${kind}:${tag} that has no folder`})
+    }
+  })
+  if (!problems.length && current !== updated) {
+    problems.push({folder: filename, check: 'readme', message: 'table versions do not match the image folders, run "npm run readme"'})
+  }
+  return problems
+}
+
+/**
+ * Checks the aliases in "aliases.json" point to the image folders that are pushed to Docker Hub
+ * @param {import('./image-aliases').ImageAlias[]} [aliases]
+ * @returns {AuditProblem[]}
+ */
+const auditAliases = (aliases = loadAliases()) => {
+  const images = globby.sync(imageKinds.map((kind) => `${kind}/*`), {onlyDirectories: true})
+    .map((folder) => ({name: path.dirname(folder), tag: path.basename(folder), manifest: loadManifest(folder)}))
+  return aliasProblems(aliases, images).map((message) => {
+    return {folder: path.basename(aliasesFilename), check: 'alias', message}
+  })
+}
+
+/**
+ * Audits the given image folders, or all image folders, README tables and aliases
+ * @param {string[]} [folders]
+ * @returns {{audited: number, problems: AuditProblem[]}}
+ */
+const audit = (folders = []) => {
+  const all = !folders.length
+  const audited = all ? globby.sync(imageKinds.map((kind) => `${kind}/*`), {onlyDirectories: true}) : folders
+  const catalog = loadCatalog()
+  let problems = []
+  audited.forEach((folder) => {
+    problems = problems.concat(auditImage(folder, catalog))
+  })
+  if (all) {
+    imageKinds.forEach((kind) => {
+      problems = problems.concat(auditReadme(kind))
+    })
+    problems = problems.concat(auditAliases())
+  }
+  return {audited: audited.length, problems}
+}
+
+/**
+ * Forms the human-readable report, the problems are grouped by folder
+ * @param {{audited: number, problems: AuditProblem[]}} report
+ */
+const formatReport = ({audited, problems}) => {
+  const lines = []
+  const folders = Array.from(new Set(problems.map((problem) => problem.folder)))
+  folders.forEach((folder) => {
+    lines.push(folder)
+    problems.filter((problem) => problem.folder === folder).forEach((problem) => {
+      lines.push(`  ✗ ${problem.check}: ${problem.message}`)
+    })
+  })
+  if (folders.length) {
+    lines.push('')
+  }
+  lines.push(`audited ${audited} image folders, found ${problems.length} problem(s)`)
+  return lines.join('\n')
+}
+
+const main = () => {
+  const args = arg({
+    '--json': Boolean
+  })
+  const folders = args._.map((folder) => path.normalize(folder).replace(/\/$/, ''))
+  const missing = folders.filter((folder) => !fs.existsSync(folder))
+  if (missing.length) {
+    console.error('cannot find image folder(s) %s', missing.join(', '))
+    process.exit(1)
+  }
+
+  const report = audit(folders)
+  if (args['--json']) {
+    console.log(JSON.stringify(report, null, 2))
+  } else {
+    console.log(formatReport(report))
+  }
+  if (report.problems.length) {
+    process.exit(1)
+  }
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  auditImage,
+  auditReadme,
+  auditAliases,
+  audit,
+  formatReport
+}
@@ -0,0 +1,124 @@
+// @ts-check
+// the browser catalog lists the full version we install for every browser major version,
+// when the major version was released and how to download it. The catalog is checked in
+// as browser-catalog.json, thus the generators and the audit work offline.
+// Refresh it with "npm run update:catalog", see update-browser-catalog.js
+const path = require('path')
+const fs = require('fs')
+
+const catalogFilename = path.join(__dirname, 'browser-catalog.json')
+
+/**
+ * @typedef {object} BrowserRelease
+ * @property {string} version Full version like "87.0.4280.66"
+ * @property {string|null} released Date of the first release of the major version like "2020-11-17"
+ * @property {string} [channel] Edge apt channel like "dev", "beta" or "stable"
+ */
+
+/**
+ * @typedef {object} CatalogEntry
+ * @property {string} download Download URL with "${version}" placeholder, for Edge the apt repository
+ * @property {string} [package] Edge apt package with "${channel}" and "${version}" placeholders
+ * @property {{[major: string]: BrowserRelease}} majors
+ */
+
+/**
+ * @typedef {{[browser: string]: CatalogEntry}} BrowserCatalog
+ */
+
+// the Edge apt channels from the most stable one
+const edgeChannels = ['stable', 'beta', 'dev']
+
+/**
+ * Loads the checked in browser catalog, or the given catalog file
+ * @param {string} [filename]
+ * @returns {BrowserCatalog}
+ */
+const loadCatalog = (filename = catalogFilename) => JSON.parse(fs.readFileSync(filename, 'utf8'))
+
+/**
+ * @param {BrowserCatalog} catalog
+ */
+const formatCatalog = (catalog) => JSON.stringify(catalog, null, 2) + '\n'
+
+/**
+ * Returns the major version like "87" from "87.0.4280.66"
+ * @param {string} version
+ */
+const majorOf = (version) => version.split('.')[0]
+
+// browser versions are major versions like "87"
+// or full versions like "87.0.4280.66" and "82.0"
+const isMajorVersion = (s) => /^\d+$/.test(s)
+const isFullBrowserVersion = (s) => /^\d+(\.\d+)+$/.test(s)
+
+/**
+ * Replaces "${name}" placeholders in the catalog pattern
+ * @param {string} pattern
+ * @param {{[name: string]: string}} values
+ */
+const expandPattern = (pattern, values) => {
+  return pattern.replace(/\$\{(\w+)\}/g, (match, name) => name in values ? values[name] : match)
+}
+
+/**
+ * Resolves the browser version like "87" or "87.0.4280.66" through the catalog.
+ * A major version must be in the catalog. A full version missing from the catalog
+ * is still allowed, it is returned without the release date.
+ * @param {BrowserCatalog} catalog
+ * @param {string} browser Like "chrome"
+ * @param {string} version
+ * @returns {BrowserRelease}
+ */
+const resolveBrowserVersion = (catalog, browser, version) => {
+  const entry = catalog[browser]
+  if (!entry) {
+    throw new Error(`Unknown browser "${browser}", the catalog has ${Object.keys(catalog).join(', ')}`)
+  }
+  if (isMajorVersion(version)) {
+    const release = entry.majors[version]
+    if (!release) {
+      throw new Error(`${browser} ${version} is not in the browser catalog, ` +
+        'run "npm run update:catalog" or pass the full version')
+    }
+    return release
+  }
+  if (!isFullBrowserVersion(version)) {
+    throw new Error(`expected ${browser} version like "87" or "87.0.4280.66", but it was "${version}"`)
+  }
+  const release = entry.majors[majorOf(version)]
+  if (release && release.version === version) {
+    return release
+  }
+  return {version, released: null}
+}
+
+/**
+ * Returns the download URL of the given browser version,
+ * for Edge it is the apt repository
+ * @param {BrowserCatalog} catalog
+ * @param {string} browser
+ * @param {string} version Full version, or a Dockerfile variable like "${CHROME_VERSION}"
+ */
+const downloadUrl = (catalog, browser, version) => expandPattern(catalog[browser].download, {version})
+
+/**
+ * Returns the Edge apt package to install like "microsoft-edge-dev=88.0.673.0-1"
+ * @param {BrowserCatalog} catalog
+ * @param {string} channel Like "dev"
+ * @param {string} version Full version, or a Dockerfile variable like "${EDGE_VERSION}"
+ */
+const edgePackage = (catalog, channel, version) => expandPattern(catalog.edge.package, {channel, version})
+
+module.exports = {
+  catalogFilename,
+  edgeChannels,
+  loadCatalog,
+  formatCatalog,
+  majorOf,
+  isMajorVersion,
+  isFullBrowserVersion,
+  resolveBrowserVersion,
+  downloadUrl,
+  edgePackage
+}
@@ -0,0 +1,272 @@
+// @ts-check
+// checks the browsers inside the browsers images: runs "<browser> --version" inside every image
+// and compares the found version with the major version in the image tag and the version
+// pinned in its Dockerfile. Exits with code 1 if any browser does not match.
+//   npm run check:browsers
+//   npm run check:browsers -- 'browsers/node14*' --concurrency 4
+// the images that cannot be pulled fail the check. Pass "--local" to check the images pulled already
+// and skip the others without pulling them.
+// "--json" prints the report as JSON instead of the table.
+// Docker runs through the "DockerRunner" object, the tests pass a fake one
+const path = require('path')
+const fs = require('fs')
+const util = require('util')
+const {exec} = require('child_process')
+const arg = require('arg')
+const globby = require('globby')
+const {parseTag} = require('./image-tag')
+const {imageName} = require('./image-manifest')
+const {readDockerfile} = require('./dockerfile')
+const {normalizeVersion} = require('./check-image-versions')
+
+/**
+ * @typedef {object} DockerRunner
+ * @property {(image: string) => Promise<boolean>} hasImage True if the image is pulled already
+ * @property {(image: string) => Promise<boolean>} pull Pulls the image, false if it cannot be pulled
+ * @property {(image: string, command: string) => Promise<string|null>} run Runs the command
+ *  inside the image and returns its output, null if the command fails
+ */
+
+/**
+ * @typedef {object} BrowserCheck
+ * @property {string} browser Like "chrome"
+ * @property {string|null} tag The major version from the image tag like "87"
+ * @property {string|null} pinned The version pinned in the Dockerfile like "87.0.4280.66"
+ * @property {string|null} found The version printed by the browser inside the image
+ * @property {string[]} problems Empty if the found version matches
+ */
+
+/**
+ * @typedef {object} ImageReport
+ * @property {string} folder Like "browsers/node12.18.3-chrome87-ff82"
+ * @property {string} image Like "cypress/browsers:node12.18.3-chrome87-ff82"
+ * @property {string|null} skipped Why the image was not checked, like "not pulled"
+ * @property {string|null} failed Why the image could not be checked, like "cannot pull the image"
+ * @property {BrowserCheck[]} browsers
+ */
+
+/**
+ * The browsers and the programs printing their versions inside the image,
+ * plus the Dockerfile properties with the pinned versions, the first one found wins
+ * @type {{[browser: string]: {command: string, pinned: (keyof import('./dockerfile').DockerfileInfo)[]}}}
+ */
+const browserCommands = {
+  chrome: {command: 'google-chrome --version', pinned: ['chromeVersion']},
+  firefox: {command: 'firefox --version', pinned: ['firefoxVersion', 'firefoxUrlVersion']},
+  edge: {command: 'edge --version', pinned: ['edgeVersion', 'edgePackageVersion']},
+  brave: {command: 'brave-browser --version', pinned: []}
+}
+
+const execAsync = util.promisify(exec)
+
+/**
+ * Runs the Docker commands on this machine
+ * @type {DockerRunner}
+ */
+const dockerRunner = {
+  hasImage: (image) => execAsync(`docker image inspect ${image}`).then(() => true, () => false),
+  pull: (image) => execAsync(`docker pull ${image}`).then(() => true, () => false),
+  run: (image, command) => execAsync(`docker run --rm ${image} ${command}`).then(({stdout}) => stdout, () => null)
+}
+
+/**
+ * Lists the browsers to check in the image folder: the browsers from the tag
+ * and the browsers with a version pinned in the Dockerfile
+ * @param {string} folder Like "browsers/node12.18.3-chrome87-ff82"
+ * @returns {BrowserCheck[]}
+ */
+const expectedBrowsers = (folder) => {
+  const parsed = parseTag(path.basename(folder), 'browsers')
+  const dockerfile = readDockerfile(folder)
+  return Object.keys(browserCommands).map((browser) => {
+    const pinnedBy = browserCommands[browser].pinned.find((property) => dockerfile && dockerfile[property])
+    const tag = parsed.browsers[browser]
+    return {
+      browser,
+      tag: tag ? String(tag) : null,
+      pinned: pinnedBy ? String(dockerfile[pinnedBy]) : null,
+      found: null,
+      problems: []
+    }
+  }).filter((check) => check.tag || check.pinned)
+}
+
+/**
+ * Compares the found version with the tag and the pinned version
+ * @param {BrowserCheck} check
+ * @returns {string[]}
+ */
+const browserProblems = ({browser, tag, pinned, found}) => {
+  if (!found) {
+    return [`cannot find ${browser} version, "${browserCommands[browser].command}" failed`]
+  }
+  const problems = []
+  if (tag && found.split('.')[0] !== tag) {
+    problems.push(`tag has ${browser} ${tag}, but the image has ${found}`)
+  }
+  if (pinned && found !== pinned && !found.startsWith(`${pinned}.`)) {
+    problems.push(`Dockerfile pins ${browser} ${pinned}, but the image has ${found}`)
+  }
+  return problems
+}
+
+/**
+ * Checks the browsers inside the image of the folder
+ * @param {string} folder Like "browsers/node12.18.3-chrome87-ff82"
+ * @param {DockerRunner} runner
+ * @param {{local?: boolean}} [options] Check only the images pulled already
+ * @returns {Promise<ImageReport>}
+ */
+const checkImage = async (folder, runner, options = {}) => {
+  const tag = path.basename(folder)
+  const image = `${imageName('browsers')}:${tag}`
+  /** @type {ImageReport} */
+  const report = {folder, image, skipped: null, failed: null, browsers: []}
+  try {
+    report.browsers = expectedBrowsers(folder)
+  } catch (e) {
+    report.skipped = e.message
+    return report
+  }
+  if (!report.browsers.length) {
+    report.skipped = 'the image has no browsers'
+    return report
+  }
+  if (!await runner.hasImage(image)) {
+    if (options.local) {
+      report.skipped = 'not pulled'
+      return report
+    }
+    // a missing image is a failure unless only the local images are checked
+    if (!await runner.pull(image)) {
+      report.failed = 'cannot pull the image'
+      return report
+    }
+  }
+  for (const check of report.browsers) {
+    check.found = normalizeVersion(await runner.run(image, browserCommands[check.browser].command))
+    check.problems = browserProblems(check)
+  }
+  return report
+}
+
+/**
+ * Maps the items with at most "concurrency" promises running at once, keeps the order
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const k = next
+      next += 1
+      results[k] = await fn(items[k])
+    }
+  }
+  const workers = Array.from({length: Math.max(1, Math.min(concurrency, items.length))}, worker)
+  await Promise.all(workers)
+  return results
+}
+
+/**
+ * Checks the browsers inside the images of the given folders
+ * @param {string[]} folders
+ * @param {{runner?: DockerRunner, local?: boolean, concurrency?: number}} [options]
+ * @returns {Promise<ImageReport[]>}
+ */
+const checkBrowserVersions = (folders, {runner = dockerRunner, local = false, concurrency = 1} = {}) =>
+  mapConcurrent(folders, concurrency, (folder) => checkImage(folder, runner, {local}))
+
+/**
+ * Returns true if any image could not be checked or any checked browser has a problem
+ * @param {ImageReport[]} reports
+ */
+const hasProblems = (reports) => reports.some((report) => {
+  return report.failed || report.browsers.some((check) => check.problems.length)
+})
+
+/**
+ * Forms the text table with a row for every checked browser and every skipped image
+ * @param {ImageReport[]} reports
+ */
+const formatTable = (reports) => {
+  const rows = [['Image', 'Browser', 'Tag', 'Pinned', 'Found', 'Result']]
+  reports.forEach((report) => {
+    if (report.skipped) {
+      rows.push([report.image, '', '', '', '', `skipped: ${report.skipped}`])
+      return
+    }
+    if (report.failed) {
+      rows.push([report.image, '', '', '', '', `✗ ${report.failed}`])
+      return
+    }
+    report.browsers.forEach((check) => {
+      const result = check.problems.length ? `✗ ${check.problems.join(', ')}` : '✓'
+      rows.push([report.image, check.browser, check.tag || '', check.pinned || '', check.found || '', result])
+    })
+  })
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)))
+  const lines = rows.map((row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd())
+  const skipped = reports.filter((report) => report.skipped).length
+  const failed = reports.filter((report) => report.failed).length
+  const checked = reports.length - skipped - failed
+  lines.push('', `checked ${checked} of ${reports.length} browsers images, skipped ${skipped}, failed ${failed}`)
+  return lines.join('\n')
+}
+
+const main = async () => {
+  const args = arg({
+    '--local': Boolean,
+    '--concurrency': Number,
+    '--json': Boolean
+  })
+  const concurrency = args['--concurrency'] === undefined ? 1 : args['--concurrency']
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error('expected --concurrency to be a positive whole number')
+    process.exit(1)
+  }
+  const globs = args._.length ? args._.map((glob) => path.normalize(glob).replace(/\/$/, '')) : ['browsers/*']
+  // the folder names are taken as they are, the glob library does not list them
+  const isFolder = (glob) => fs.existsSync(glob) && fs.statSync(glob).isDirectory()
+  const folders = Array.from(new Set(globs.filter(isFolder)
+    .concat(globby.sync(globs.filter((glob) => !isFolder(glob)), {onlyDirectories: true}))))
+    .filter((folder) => path.basename(path.dirname(folder)) === 'browsers')
+    .sort()
+  if (!folders.length) {
+    console.error('cannot find browsers image folders matching %s', globs.join(' '))
+    process.exit(1)
+  }
+
+  const reports = await checkBrowserVersions(folders, {local: args['--local'], concurrency})
+  if (args['--json']) {
+    console.log(JSON.stringify(reports, null, 2))
+  } else {
+    console.log(formatTable(reports))
+  }
+  if (hasProblems(reports)) {
+    process.exit(1)
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  browserCommands,
+  dockerRunner,
+  expectedBrowsers,
+  browserProblems,
+  checkImage,
+  checkBrowserVersions,
+  hasProblems,
+  formatTable
+}
@@ -0,0 +1,236 @@
+// @ts-check
+// runs inside the included image and checks the versions of the tools it has
+//   node check-image-versions.js <image.json>
+// or checks the image labels from "docker inspect" against the tools inside any image
+//   node check-image-versions.js --labels <labels.json> <image>
+// prints the found versions as JSON and exits with 1 if they do not match
+// the expectations for the image, see "checkVersions" and "checkLabels". CI mounts this file
+// and the image manifest into the container, thus it only uses the built-in Node modules
+// and works with the old Node versions in the published images
+const fs = require('fs')
+const {execSync} = require('child_process')
+
+/**
+ * @typedef {object} ImageVersions
+ * @property {string|null} node The system Node "node --version"
+ * @property {string|null} cypress The installed Cypress
+ * @property {string|null} cypressNode The Node bundled inside Cypress
+ * @property {string|null} electron The Electron inside Cypress
+ * @property {string|null} chrome
+ * @property {string|null} firefox
+ * @property {string|null} edge
+ * @property {string|null} npm
+ * @property {string|null} yarn
+ */
+
+/**
+ * Removes everything but the version from the program output like "v12.18.3\r\n",
+ * "Google Chrome 89.0.4389.72 " or the control characters printed by the terminal
+ * @param {string|null} text
+ * @returns {string|null}
+ */
+const normalizeVersion = (text) => {
+  if (!text) {
+    return null
+  }
+  const cleaned = text.replace(/\u001b\[[0-9;]*[A-Za-z]/g, '').replace(/[\u0000-\u001f\u007f]/g, ' ')
+  const matches = /v?(\d+(\.\d+)*(-[\w.]+)?)/.exec(cleaned)
+  return matches ? matches[1] : null
+}
+
+/**
+ * Finds the version after the label in "cypress version" output like
+ *   Cypress package version: 6.9.0
+ *   Cypress binary version: 6.9.0
+ *   Electron version: 11.3.0
+ *   Bundled Node version:
+ *   12.18.3
+ * @param {string} output
+ * @param {string} label Like "Electron version"
+ */
+const findLabeledVersion = (output, label) => {
+  const matches = new RegExp(`${label}:\\s*([^\\n]*\\n?[^\\n]*)`).exec(output)
+  return matches ? normalizeVersion(matches[1]) : null
+}
+
+/**
+ * Runs the command and returns its output, or null if the program is missing or fails
+ * @param {string} command
+ */
+const run = (command) => {
+  try {
+    return execSync(command, {encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']})
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Collects the versions of the tools inside the image
+ * @param {(command: string) => string|null} [runCommand]
+ * @returns {ImageVersions}
+ */
+const findVersions = (runCommand = run) => {
+  const cypressOutput = runCommand('cypress version') || ''
+  return {
+    node: normalizeVersion(runCommand('node --version')),
+    cypress: findLabeledVersion(cypressOutput, 'Cypress package version'),
+    cypressNode: findLabeledVersion(cypressOutput, 'Bundled Node version'),
+    electron: findLabeledVersion(cypressOutput, 'Electron version'),
+    chrome: normalizeVersion(runCommand('google-chrome --version')),
+    firefox: normalizeVersion(runCommand('firefox --version')),
+    edge: normalizeVersion(runCommand('edge --version')),
+    npm: normalizeVersion(runCommand('npm --version')),
+    yarn: normalizeVersion(runCommand('yarn --version'))
+  }
+}
+
+// strict "x.y.z" versions, the custom Node builds print something else
+const isStrictVersion = (s) => /^\d+\.\d+\.\d+$/.test(s)
+
+// the full version "89.0.4389.72" or just the major "89" from the image tag
+const matchesVersion = (found, expected) => found === expected || found.startsWith(`${expected}.`)
+
+// the major version "12" from "12.18.3"
+const majorVersion = (version) => version.split('.')[0]
+
+/**
+ * Checks the versions against the expectations for the image:
+ * the system Node is the Node from the manifest and has the major version of the Node bundled inside Cypress,
+ * the installed Cypress and the browsers have the versions from the manifest.
+ * The browsers are only checked on amd64, the other platforms have none or their replacements
+ * @param {ImageVersions} versions
+ * @param {{node?: string|null, cypress?: string|null, cypressBuild?: object, browsers?: {[browser: string]: string}}} manifest
+ * @param {string} [arch] Node "process.arch" like "x64"
+ * @returns {string[]} Problems, empty if the versions match
+ */
+const checkVersions = (versions, manifest, arch = process.arch) => {
+  const problems = []
+  if (!versions.node) {
+    problems.push('cannot find the system Node version')
+  } else if (manifest.node && isStrictVersion(manifest.node) && versions.node !== manifest.node) {
+    problems.push(`expected system Node ${manifest.node}, found ${versions.node}`)
+  }
+  // the custom Cypress build "6.5.0-beta.cb0f32b" prints its future version "6.5.0"
+  const cypress = manifest.cypress && manifest.cypressBuild ? manifest.cypress.split('-')[0] : manifest.cypress
+  if (cypress && versions.cypress !== cypress) {
+    problems.push(`expected Cypress ${cypress}, found ${versions.cypress || 'none'}`)
+  }
+  // the old Cypress versions do not print the bundled Node version. The browsers images
+  // are picked by the bundled Node major version, see "cypress-node.js"
+  if (versions.node && versions.cypressNode && majorVersion(versions.node) !== majorVersion(versions.cypressNode)) {
+    problems.push(`system Node ${versions.node} does not match the major version of Node ${versions.cypressNode} bundled inside Cypress`)
+  }
+  if (arch === 'x64') {
+    const browsers = manifest.browsers || {}
+    Object.keys(browsers).forEach((browser) => {
+      const found = versions[browser]
+      if (!found) {
+        problems.push(`expected ${browser} ${browsers[browser]}, found none`)
+      } else if (!matchesVersion(found, browsers[browser])) {
+        problems.push(`expected ${browser} ${browsers[browser]}, found ${found}`)
+      }
+    })
+  }
+  return problems
+}
+
+// the labels written by "image-labels.js", this file cannot require it inside the image
+const versionLabels = {
+  node: 'io.cypress.node',
+  npm: 'io.cypress.npm',
+  yarn: 'io.cypress.yarn',
+  cypress: 'io.cypress.cypress'
+}
+const browserLabels = {
+  chrome: 'io.cypress.chrome',
+  firefox: 'io.cypress.firefox',
+  edge: 'io.cypress.edge'
+}
+
+/**
+ * Checks the image labels from "docker inspect" describe the image and the tools inside it.
+ * The browsers are only checked on amd64
+ * @param {ImageVersions} versions
+ * @param {{[label: string]: string}|null} labels
+ * @param {string} image Like "cypress/base:14.16.0"
+ * @param {string} [arch] Node "process.arch" like "x64"
+ * @returns {string[]} Problems, empty if the labels match
+ */
+const checkLabels = (versions, labels, image, arch = process.arch) => {
+  if (!labels || !labels['org.opencontainers.image.title']) {
+    return ['the image has no labels']
+  }
+  const problems = []
+  const [name, tag] = image.split(':')
+  if (labels['org.opencontainers.image.title'] !== name) {
+    problems.push(`label title is ${labels['org.opencontainers.image.title']}, expected ${name}`)
+  }
+  if (labels['org.opencontainers.image.version'] !== tag) {
+    problems.push(`label version is ${labels['org.opencontainers.image.version']}, expected ${tag}`)
+  }
+  const revision = labels['org.opencontainers.image.revision']
+  if (!/^[0-9a-f]{40}$/.test(revision || '')) {
+    problems.push(`label revision is ${revision || 'missing'}, expected the commit SHA`)
+  }
+  if (!labels['io.cypress.generator.command']) {
+    problems.push('label with the generator command is missing')
+  }
+  Object.keys(versionLabels).forEach((tool) => {
+    const expected = labels[versionLabels[tool]]
+    if (!expected) {
+      return
+    }
+    // the custom Cypress build "6.5.0-beta.cb0f32b" prints its future version "6.5.0"
+    if (versions[tool] !== expected && versions[tool] !== expected.split('-')[0]) {
+      problems.push(`label ${versionLabels[tool]} is ${expected}, found ${versions[tool] || 'none'}`)
+    }
+  })
+  if (arch === 'x64') {
+    Object.keys(browserLabels).forEach((browser) => {
+      const expected = labels[browserLabels[browser]]
+      if (expected && !(versions[browser] && matchesVersion(versions[browser], expected))) {
+        problems.push(`label ${browserLabels[browser]} is ${expected}, found ${versions[browser] || 'none'}`)
+      }
+    })
+  }
+  return problems
+}
+
+const main = () => {
+  const labelsIndex = process.argv.indexOf('--labels')
+  const labelsFilename = labelsIndex === -1 ? null : process.argv[labelsIndex + 1]
+  const image = labelsIndex === -1 ? null : process.argv[labelsIndex + 2]
+  const manifestFilename = labelsIndex === -1 ? process.argv[2] : null
+  if (labelsIndex !== -1 && (!labelsFilename || !image)) {
+    console.error('expected labels file and image like "--labels labels.json cypress/base:14.16.0"')
+    process.exit(1)
+  }
+  if (labelsIndex === -1 && !manifestFilename) {
+    console.error('expected image manifest like "included/6.9.0/image.json"')
+    process.exit(1)
+  }
+  const versions = findVersions()
+  console.log(JSON.stringify(versions, null, 2))
+
+  const problems = labelsFilename ?
+    checkLabels(versions, JSON.parse(fs.readFileSync(labelsFilename, 'utf8')), image) :
+    checkVersions(versions, JSON.parse(fs.readFileSync(manifestFilename, 'utf8')))
+  if (problems.length) {
+    problems.forEach((problem) => console.error('Problem: %s', problem))
+    process.exit(1)
+  }
+  console.log('All versions match 👍')
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  normalizeVersion,
+  findLabeledVersion,
+  findVersions,
+  checkVersions,
+  checkLabels
+}
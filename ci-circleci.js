@@ -0,0 +1,290 @@
+// @ts-check
+// renders the CI job model from "ci-jobs.js" as CircleCI config "circle.yml"
+const {lintCommands, buildCommand, loadLayoutCommand, saveLayoutCommand, buildxPushCommand} = require('./ci-jobs')
+const {indent} = require('./utils')
+
+const filename = 'circle.yml'
+
+// the image files are saved to and loaded from the workspace folder
+const workspace = '/tmp/workspace'
+
+const preamble = `
+# WARNING: this file is automatically generated by generate-config.js
+# info on building Docker images on Circle
+# https://circleci.com/docs/2.0/building-docker-images/
+version: 2.1
+
+orbs:
+  node: circleci/node@1.1
+
+commands:
+  halt-on-branch:
+    description: Halt current CircleCI job if not on master branch
+    steps:
+      - run:
+          name: Halting job if not on master branch
+          command: |
+            if [[ "$CIRCLE_BRANCH" != "master" ]]; then
+              echo "Not master branch, will skip the rest of commands"
+              circleci-agent step halt
+            else
+              echo "On master branch, can continue"
+            fi
+
+  halt-if-docker-image-exists:
+    description: Halt current CircleCI job if Docker image exists already
+    parameters:
+      imageName:
+        type: string
+        description: Docker image name to test
+    steps:
+      - run:
+          name: Check if image << parameters.imageName >> exists or Docker hub does not respond
+          # using https://github.com/cypress-io/docker-image-not-found
+          # to check if Docker hub definitely does not have this image
+          command: |
+            if npx docker-image-not-found --repo << parameters.imageName >>; then
+              echo Docker hub says image << parameters.imageName >> does not exist
+            else
+              echo Docker hub has image << parameters.imageName >> or not responding
+              echo We should stop in this case
+              circleci-agent step halt
+            fi
+
+  docker-push:
+    description: Log in and push a given image to Docker hub
+    parameters:
+      imageName:
+        type: string
+        description: Docker image name to push
+    steps:
+      # before pushing, let's check again that the Docker Hub does not have the image
+      # accidental rebuild and overwrite of an image is bad, since it can bump every tool
+      # https://github.com/cypress-io/cypress/issues/6335
+      - halt-if-docker-image-exists:
+          imageName: << parameters.imageName >>
+      - run:
+          name: Pushing image << parameters.imageName >> to Docker Hub
+          command: |
+            echo "$DOCKERHUB_PASS" | docker login -u "$DOCKERHUB_USERNAME" --password-stdin
+            docker push << parameters.imageName >>
+
+  save-image-to-workspace:
+    description: Save the built image to the workspace for the jobs building images FROM it
+    parameters:
+      imageName:
+        type: string
+        description: Docker image name to save
+      workspaceFile:
+        type: string
+        description: File name in the workspace like "base-12.18.3.tar"
+    steps:
+      - run:
+          name: Saving image << parameters.imageName >> to workspace
+          command: |
+            mkdir -p /tmp/workspace
+            docker save -o /tmp/workspace/<< parameters.workspaceFile >> << parameters.imageName >>
+      - persist_to_workspace:
+          root: /tmp/workspace
+          paths:
+            - << parameters.workspaceFile >>
+
+  load-image-from-workspace:
+    description: Load the parent image built by the previous job instead of pulling it from Docker Hub
+    parameters:
+      workspaceFile:
+        type: string
+        description: File name in the workspace like "base-12.18.3.tar"
+    steps:
+      - attach_workspace:
+          at: /tmp/workspace
+      - run:
+          name: Loading parent image from workspace
+          command: |
+            if [ -f /tmp/workspace/<< parameters.workspaceFile >> ]; then
+              docker load -i /tmp/workspace/<< parameters.workspaceFile >>
+            else
+              echo "Parent image was not built by this workflow, Docker will pull it"
+            fi
+
+jobs:
+  lint-markdown:
+    executor:
+      name: node/default
+      tag: '12'
+    steps:
+      - checkout
+      - node/with-cache:
+          steps:
+            - run: npm ci
+${lintCommands.map((command) => `      - run: ${command}`).join('\n')}
+`
+
+// CircleCI treats "<<" as the start of a parameter, even in a heredoc
+const escapeParameters = (command) => command.replace(/<</g, '\\<<')
+
+/**
+ * @param {import('./ci-jobs').CiStep} step
+ */
+const formStep = (step) => {
+  let yml = '      - run:\n' +
+    `          name: ${step.name}\n`
+  if (step.noOutputTimeout) {
+    yml += `          no_output_timeout: '${step.noOutputTimeout}m'\n`
+  }
+  yml += '          command: |\n' +
+    indent(escapeParameters(step.command), 12) + '\n'
+  return yml
+}
+
+/**
+ * The multi-platform jobs save, load and push the images using "docker buildx"
+ * instead of the reusable commands from the preamble
+ * @param {import('./ci-jobs').CiJob} job
+ */
+const formBuildxJob = (job) => {
+  // indent is important
+  let yml = `  ${job.id}:\n` +
+    '    # the machine image with "docker buildx"\n' +
+    '    machine:\n' +
+    '      image: ubuntu-2204:current\n' +
+    '    steps:\n' +
+    '      - checkout\n' +
+    '      - halt-if-docker-image-exists:\n' +
+    `          imageName: ${job.image}\n`
+  if (job.parentImageFile) {
+    yml += '      - attach_workspace:\n' +
+      `          at: ${workspace}\n`
+    yml += formStep({
+      name: 'Loading parent image from workspace',
+      command: loadLayoutCommand(job, workspace)
+    })
+  }
+  yml += job.build.map(formStep).join('')
+  yml += job.tests.map(formStep).join('')
+  if (job.imageFile) {
+    yml += formStep({
+      name: `Saving image ${job.image} to workspace`,
+      noOutputTimeout: 10,
+      command: saveLayoutCommand(job, workspace)
+    })
+    yml += '      - persist_to_workspace:\n' +
+      `          root: ${workspace}\n` +
+      '          paths:\n' +
+      `            - ${job.imageFile}\n`
+  }
+  if (job.push) {
+    yml += '      - halt-on-branch\n'
+    yml += formStep({
+      name: `Pushing image ${job.image} to Docker Hub`,
+      noOutputTimeout: 10,
+      command: buildxPushCommand(job, workspace)
+    })
+  }
+  return yml
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob} job
+ */
+const formJob = (job) => {
+  if (job.buildx) {
+    return formBuildxJob(job)
+  }
+  // indent is important
+  let yml = `  ${job.id}:\n` +
+    '    machine: true\n' +
+    '    steps:\n' +
+    '      - checkout\n' +
+    '      - halt-if-docker-image-exists:\n' +
+    `          imageName: ${job.image}\n`
+  if (job.parentImageFile) {
+    yml += '      - load-image-from-workspace:\n' +
+      `          workspaceFile: "${job.parentImageFile}"\n`
+  }
+  yml += formStep({
+    name: `building Docker image ${job.image}`,
+    command: buildCommand(job)
+  })
+  yml += job.tests.map(formStep).join('')
+  if (job.imageFile) {
+    yml += '      - save-image-to-workspace:\n' +
+      `          imageName: ${job.image}\n` +
+      `          workspaceFile: "${job.imageFile}"\n`
+  }
+  if (job.push) {
+    yml += '      - halt-on-branch\n' +
+      '      - docker-push:\n' +
+      `          imageName: ${job.image}\n`
+  }
+  return yml
+}
+
+/**
+ * The alias jobs only run on the master branch and do not check if Docker Hub has the alias
+ * @param {import('./ci-jobs').CiAliasJob} job
+ */
+const formAliasJob = (job) => {
+  // indent is important
+  let yml = `  ${job.id}:\n`
+  if (job.buildx) {
+    yml += '    # the machine image with "docker buildx"\n' +
+      '    machine:\n' +
+      '      image: ubuntu-2204:current\n'
+  } else {
+    yml += '    machine: true\n'
+  }
+  yml += '    steps:\n' +
+    '      - halt-on-branch\n'
+  return yml + formStep(job.retag)
+}
+
+/**
+ * @param {{id: string, parent: import('./ci-jobs').CiJob|null}} job
+ */
+const formWorkflowJob = (job) => {
+  if (!job.parent) {
+    return `      - ${job.id}\n`
+  }
+  return `      - ${job.id}:\n` +
+    '          requires:\n' +
+    `            - ${job.parent.id}\n`
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob[]} jobs
+ * @param {import('./ci-jobs').CiAliasJob[]} aliasJobs
+ */
+const formWorkflows = (jobs, aliasJobs) => {
+  let yml = 'workflows:\n' +
+    '  version: 2\n' +
+    '  lint:\n' +
+    '    jobs:\n' +
+    '      - lint-markdown\n'
+
+  // a workflow without any jobs is invalid
+  if (!jobs.length && !aliasJobs.length) {
+    return yml
+  }
+  // all images go into a single workflow, so the jobs can wait for their parent images
+  // and the alias jobs can wait for their target images
+  yml += '  build-images:\n' +
+    '    jobs:\n'
+  return yml + jobs.concat(aliasJobs).map(formWorkflowJob).join('')
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob[]} jobs
+ * @param {import('./ci-jobs').CiAliasJob[]} [aliasJobs]
+ */
+const render = (jobs, aliasJobs = []) => {
+  return [preamble.trim() + '\n']
+    .concat(jobs.map(formJob), aliasJobs.map(formAliasJob), formWorkflows(jobs, aliasJobs))
+    .join('\n')
+}
+
+module.exports = {
+  filename,
+  workspace,
+  render
+}
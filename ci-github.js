@@ -0,0 +1,163 @@
+// @ts-check
+// renders the CI job model from "ci-jobs.js" as GitHub Actions workflow.
+// The parent images are passed to the child jobs as workflow artifacts.
+const {lintCommands, buildCommand, loadImageCommand, pushCommand, loadLayoutCommand, saveLayoutCommand,
+  buildxPushCommand} = require('./ci-jobs')
+const {indent} = require('./utils')
+
+const filename = '.github/workflows/build-images.yml'
+
+// the image files are saved to and loaded from the workspace folder
+const workspace = '/tmp/workspace'
+
+const preamble = `
+# WARNING: this file is automatically generated by generate-config.js
+# info on building Docker images on GitHub Actions
+# https://docs.github.com/en/actions/publishing-packages/publishing-docker-images
+name: build-images
+
+on: [push, pull_request]
+
+jobs:
+  lint-markdown:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: '12'
+          cache: npm
+      - run: npm ci
+${lintCommands.map((command) => `      - run: ${command}`).join('\n')}
+`
+
+// the step checking Docker Hub sets this output, the other steps are skipped if the image exists
+const notExists = 'steps.image.outputs.exists != \'true\''
+
+/**
+ * @param {import('./ci-jobs').CiStep} step
+ * @param {{condition?: string, env?: {[name: string]: string}}} [options]
+ */
+const formStep = (step, {condition = notExists, env = {}} = {}) => {
+  let yml = `      - name: ${step.name}\n` +
+    `        if: ${condition}\n`
+  const names = Object.keys(env)
+  if (names.length) {
+    yml += '        env:\n' +
+      names.map((name) => `          ${name}: ${env[name]}\n`).join('')
+  }
+  return yml + '        run: |\n' +
+    indent(step.command, 10) + '\n'
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob} job
+ */
+const formJob = (job) => {
+  // indent is important
+  let yml = `  ${job.id}:\n` +
+    `    name: ${job.name}\n` +
+    '    runs-on: ubuntu-latest\n'
+  if (job.parent) {
+    yml += `    needs: ${job.parent.id}\n`
+  }
+  yml += '    steps:\n' +
+    '      - uses: actions/checkout@v4\n' +
+    `      - name: Check if image ${job.image} exists or Docker hub does not respond\n` +
+    '        id: image\n' +
+    '        # using https://github.com/cypress-io/docker-image-not-found\n' +
+    '        # to check if Docker hub definitely does not have this image\n' +
+    '        run: |\n' +
+    `          if npx docker-image-not-found --repo ${job.image}; then\n` +
+    `            echo Docker hub says image ${job.image} does not exist\n` +
+    '          else\n' +
+    `            echo Docker hub has image ${job.image} or not responding\n` +
+    '            echo We should stop in this case\n' +
+    '            echo "exists=true" >> $GITHUB_OUTPUT\n' +
+    '          fi\n'
+  if (job.parentImageFile) {
+    yml += '      - name: Downloading parent image\n' +
+      `        if: ${notExists}\n` +
+      '        # the parent job does not upload the image if it exists on Docker Hub already\n' +
+      '        continue-on-error: true\n' +
+      '        uses: actions/download-artifact@v4\n' +
+      '        with:\n' +
+      `          name: ${job.parentImageFile}\n` +
+      `          path: ${workspace}\n`
+    yml += formStep({
+      name: 'Loading parent image',
+      command: job.buildx ? loadLayoutCommand(job, workspace) : loadImageCommand(`${workspace}/${job.parentImageFile}`)
+    })
+  }
+  if (job.buildx) {
+    yml += job.build.map((step) => formStep(step)).join('')
+  } else {
+    yml += formStep({
+      name: `building Docker image ${job.image}`,
+      command: buildCommand(job)
+    })
+  }
+  yml += job.tests.map((step) => formStep(step)).join('')
+  if (job.imageFile) {
+    yml += formStep({
+      name: `Saving image ${job.image}`,
+      command: job.buildx ? saveLayoutCommand(job, workspace) :
+        `mkdir -p ${workspace}\ndocker save -o ${workspace}/${job.imageFile} ${job.image}`
+    })
+    yml += '      - uses: actions/upload-artifact@v4\n' +
+      `        if: ${notExists}\n` +
+      '        with:\n' +
+      `          name: ${job.imageFile}\n` +
+      `          path: ${workspace}/${job.imageFile}\n` +
+      '          retention-days: 1\n'
+  }
+  if (job.push) {
+    yml += formStep({
+      name: `Pushing image ${job.image} to Docker Hub`,
+      command: job.buildx ? buildxPushCommand(job, workspace) : pushCommand(job.image)
+    }, {
+      condition: `${notExists} && github.ref == 'refs/heads/master'`,
+      env: {
+        DOCKERHUB_USERNAME: '${{ secrets.DOCKERHUB_USERNAME }}',
+        DOCKERHUB_PASS: '${{ secrets.DOCKERHUB_PASS }}'
+      }
+    })
+  }
+  return yml
+}
+
+/**
+ * The alias jobs only run on the master branch and do not check if Docker Hub has the alias
+ * @param {import('./ci-jobs').CiAliasJob} job
+ */
+const formAliasJob = (job) => {
+  // indent is important
+  let yml = `  ${job.id}:\n` +
+    `    name: ${job.name}\n` +
+    '    runs-on: ubuntu-latest\n'
+  if (job.parent) {
+    yml += `    needs: ${job.parent.id}\n`
+  }
+  return yml + '    steps:\n' +
+    formStep(job.retag, {
+      condition: 'github.ref == \'refs/heads/master\'',
+      env: {
+        DOCKERHUB_USERNAME: '${{ secrets.DOCKERHUB_USERNAME }}',
+        DOCKERHUB_PASS: '${{ secrets.DOCKERHUB_PASS }}'
+      }
+    })
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob[]} jobs
+ * @param {import('./ci-jobs').CiAliasJob[]} [aliasJobs]
+ */
+const render = (jobs, aliasJobs = []) => {
+  return [preamble.trim() + '\n'].concat(jobs.map(formJob), aliasJobs.map(formAliasJob)).join('\n')
+}
+
+module.exports = {
+  filename,
+  workspace,
+  render
+}
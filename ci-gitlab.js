@@ -0,0 +1,143 @@
+// @ts-check
+// renders the CI job model from "ci-jobs.js" as GitLab CI config ".gitlab-ci.yml".
+// The build jobs run "docker" and "npx" directly, like the CircleCI machine executor,
+// thus they need a runner with the shell executor, Docker and Node, tagged "docker".
+// The parent images are passed to the child jobs as job artifacts.
+const {lintCommands, buildCommand, loadImageCommand, pushCommand, loadLayoutCommand, saveLayoutCommand,
+  buildxPushCommand} = require('./ci-jobs')
+const {indent} = require('./utils')
+
+const filename = '.gitlab-ci.yml'
+
+// the image files are saved inside the project folder, GitLab only keeps artifacts from there
+const artifactsFolder = 'workspace'
+// "docker buildx" needs the absolute path to the same folder
+const workspace = `$CI_PROJECT_DIR/${artifactsFolder}`
+
+const preamble = `
+# WARNING: this file is automatically generated by generate-config.js
+# info on building Docker images on GitLab CI
+# https://docs.gitlab.com/ee/ci/docker/using_docker_build.html
+stages:
+  - lint
+  - build
+
+lint-markdown:
+  stage: lint
+  image: node:12
+  script:
+    - npm ci
+${lintCommands.map((command) => `    - ${command}`).join('\n')}
+
+.build-image:
+  stage: build
+  tags:
+    - docker
+`
+
+/**
+ * Forms a single script entry, multi-line commands become block strings
+ * @param {string} command
+ */
+const formCommand = (command) => {
+  if (!command.includes('\n')) {
+    return `    - ${command}\n`
+  }
+  return '    - |\n' + indent(command, 6) + '\n'
+}
+
+/**
+ * @param {import('./ci-jobs').CiStep} step
+ */
+const formStep = (step) => formCommand(`echo "${step.name.replace(/"/g, '\\"')}"\n${step.command}`)
+
+/**
+ * @param {import('./ci-jobs').CiJob} job
+ */
+const formJob = (job) => {
+  // indent is important
+  let yml = `"${job.name}":\n` +
+    '  extends: .build-image\n'
+  if (job.parent) {
+    yml += '  needs:\n' +
+      `    - job: "${job.parent.name}"\n` +
+      '      artifacts: true\n'
+  } else {
+    // do not wait for the lint stage, just like the other CI providers
+    yml += '  needs: []\n'
+  }
+  yml += '  script:\n' +
+    '    # using https://github.com/cypress-io/docker-image-not-found\n' +
+    '    # to check if Docker hub definitely does not have this image\n' +
+    formCommand(`if npx docker-image-not-found --repo ${job.image}; then
+  echo Docker hub says image ${job.image} does not exist
+else
+  echo Docker hub has image ${job.image} or not responding
+  echo We should stop in this case
+  exit 0
+fi`)
+  if (job.parentImageFile) {
+    yml += formCommand(job.buildx ? loadLayoutCommand(job, workspace) :
+      loadImageCommand(`${artifactsFolder}/${job.parentImageFile}`))
+  }
+  if (job.buildx) {
+    yml += job.build.map(formStep).join('')
+  } else {
+    yml += formCommand(buildCommand(job))
+  }
+  yml += job.tests.map(formStep).join('')
+  if (job.imageFile) {
+    yml += job.buildx ? formCommand(saveLayoutCommand(job, workspace)) :
+      formCommand(`mkdir -p ${artifactsFolder}`) +
+      formCommand(`docker save -o ${artifactsFolder}/${job.imageFile} ${job.image}`)
+  }
+  if (job.push) {
+    yml += formCommand(`if [ "$CI_COMMIT_BRANCH" != "master" ]; then
+  echo "Not master branch, will not push the image"
+  exit 0
+fi`)
+    yml += formCommand(job.buildx ? buildxPushCommand(job, workspace) : pushCommand(job.image))
+  }
+  if (job.imageFile) {
+    yml += '  artifacts:\n' +
+      '    paths:\n' +
+      `      - ${artifactsFolder}/${job.imageFile}\n` +
+      '    expire_in: 1 day\n'
+  }
+  return yml
+}
+
+/**
+ * The alias jobs only run on the master branch and do not check if Docker Hub has the alias
+ * @param {import('./ci-jobs').CiAliasJob} job
+ */
+const formAliasJob = (job) => {
+  // indent is important
+  let yml = `"${job.name}":\n` +
+    '  extends: .build-image\n'
+  if (job.parent) {
+    yml += '  needs:\n' +
+      `    - job: "${job.parent.name}"\n` +
+      '      artifacts: false\n'
+  } else {
+    yml += '  needs: []\n'
+  }
+  return yml + '  rules:\n' +
+    '    - if: $CI_COMMIT_BRANCH == "master"\n' +
+    '  script:\n' +
+    formStep(job.retag)
+}
+
+/**
+ * @param {import('./ci-jobs').CiJob[]} jobs
+ * @param {import('./ci-jobs').CiAliasJob[]} [aliasJobs]
+ */
+const render = (jobs, aliasJobs = []) => {
+  return [preamble.trim() + '\n'].concat(jobs.map(formJob), aliasJobs.map(formAliasJob)).join('\n')
+}
+
+module.exports = {
+  filename,
+  workspace,
+  render
+}
@@ -0,0 +1,335 @@
+// @ts-check
+// forms the CI job model from the image folders: which images to build,
+// which checks to run against each image and which images to push.
+// The model does not know about any CI provider, the renderers "ci-circleci.js",
+// "ci-github.js" and "ci-gitlab.js" turn it into the provider config file.
+// All scripts are POSIX shell and run from the repo root on a machine with Docker and Node.
+// The multi-platform images are built with "docker buildx", checked on every platform
+// and pushed as a multi-platform manifest, see "buildxSteps".
+// The alias jobs move the floating tags like "cypress/base:latest" to another image
+// that is on Docker Hub already or pushed by the same pipeline, see "formAliasJobs"
+const {shouldBuild, shouldPush} = require('./image-status')
+const {findBuiltParent} = require('./image-parents')
+const {defaultPlatform, isMultiPlatform, missingParentPlatforms} = require('./platforms')
+const {scenarioSteps} = require('./test-scenarios')
+const {isPrerelease} = require('./image-manifest')
+const {labelBuildArgs} = require('./image-labels')
+
+/**
+ * @typedef {object} CiStep
+ * @property {string} name Step title
+ * @property {string} command Shell script, can have multiple lines
+ * @property {number} [noOutputTimeout] Minutes the step can run without printing anything
+ */
+
+/**
+ * @typedef {object} CiJob
+ * @property {string} name Job title like "base 12.18.3"
+ * @property {string} id Job name safe for every CI provider like "base-12-18-3"
+ * @property {string} image Docker image to build like "cypress/base:12.18.3"
+ * @property {string} folder Image folder with the Dockerfile like "base/12.18.3"
+ * @property {boolean} push Push the image to Docker Hub from the "master" branch
+ * @property {CiJob|null} parent The job building the FROM image in the same pipeline
+ * @property {string|null} parentImageFile Load the FROM image from this file saved by the parent job
+ * @property {string|null} imageFile Save the built image to this file for the child jobs
+ * @property {string[]} platforms Docker platforms like "linux/amd64" the image is built for
+ * @property {boolean} buildx Build the image with "docker buildx", true for the multi-platform images
+ *  and the images FROM them. Their image files are OCI image archives instead of "docker save" files
+ * @property {CiStep[]} build Steps building the image with "docker buildx", empty for the other images
+ * @property {CiStep[]} tests Checks to run after building the image, formed from the test scenarios
+ *  the image runs, see "test-scenarios.js". The multi-platform images are checked on every platform
+ */
+
+/**
+ * @typedef {object} CiAliasJob
+ * @property {string} name Job title like "alias base:latest"
+ * @property {string} id Job name safe for every CI provider like "alias-base-latest"
+ * @property {string} image The alias image like "cypress/base:latest"
+ * @property {string} target The image the alias should point to like "cypress/base:14.15.4"
+ * @property {CiJob|null} parent The job building and pushing the target image in the same pipeline
+ * @property {boolean} buildx Copy the multi-platform manifest with "docker buildx imagetools"
+ * @property {CiStep} retag Pushes the alias from the "master" branch, even if Docker Hub has it already
+ */
+
+/**
+ * @typedef {object} JobOptions
+ * @property {string} [workspace] The folder the image files are saved to and loaded from,
+ *  must be an absolute path or a variable with one for "docker buildx"
+ */
+
+// commands the lint job runs after installing the dependencies
+const lintCommands = ['npm run check:markdown', 'npm run check:readme', 'npm run audit', 'npm test']
+
+// only the images with "draft" or "building" status get CI jobs,
+// the published images are never built again
+const isBuilt = (imageAndTag) => shouldBuild(imageAndTag.manifest.status)
+
+const jobName = (imageAndTag) => `${imageAndTag.name} ${imageAndTag.tag}`
+
+// the CI providers disagree on the characters allowed in the job names
+const jobId = (imageAndTag) => jobName(imageAndTag).replace(/[^\w-]/g, '-')
+
+// the built image is passed to the child jobs as "base-12.18.3.tar" file
+// or as "base-12.18.3.oci.tar" OCI image archive if built with "docker buildx"
+const imageFile = (imageAndTag, buildx) => `${imageAndTag.name}-${imageAndTag.tag}${buildx ? '.oci' : ''}.tar`
+
+// the OCI image archive is unpacked into "base-12.18.3.oci" folder
+const ociLayout = (filename) => filename.replace(/\.tar$/, '')
+
+/**
+ * Loads the parent image saved by the parent job, if it was built
+ * @param {string} filename Like "/tmp/workspace/base-12.18.3.tar"
+ */
+const loadImageCommand = (filename) => `if [ -f ${filename} ]; then
+  docker load -i ${filename}
+else
+  echo "Parent image was not built by this pipeline, Docker will pull it"
+fi`
+
+/**
+ * Pushes the image to Docker Hub using "DOCKERHUB_USERNAME" and "DOCKERHUB_PASS" variables
+ * @param {string} image
+ */
+const pushCommand = (image) => `# before pushing, let's check again that the Docker Hub does not have the image
+# accidental rebuild and overwrite of an image is bad, since it can bump every tool
+# https://github.com/cypress-io/cypress/issues/6335
+if ! npx docker-image-not-found --repo ${image}; then
+  echo Docker hub has image ${image} or not responding, will not push it
+  exit 0
+fi
+echo "$DOCKERHUB_PASS" | docker login -u "$DOCKERHUB_USERNAME" --password-stdin
+docker push ${image}`
+
+/**
+ * Points the alias to the target image on Docker Hub. Unlike "pushCommand" it does not check
+ * if Docker Hub has the alias, because the alias exists and moves to another image.
+ * The multi-platform manifest is copied without pulling the image of every platform
+ * @param {string} alias Like "cypress/base:latest"
+ * @param {string} target Like "cypress/base:14.15.4"
+ * @param {boolean} buildx
+ */
+const retagCommand = (alias, target, buildx) => {
+  const login = 'echo "$DOCKERHUB_PASS" | docker login -u "$DOCKERHUB_USERNAME" --password-stdin'
+  if (buildx) {
+    return `${login}
+docker buildx imagetools create -t ${alias} ${target}`
+  }
+  return `docker pull ${target}
+docker tag ${target} ${alias}
+${login}
+docker push ${alias}`
+}
+
+/**
+ * Forms "docker build" command for the job image, passing the commit and its date
+ * for the image labels, see "image-labels.js"
+ * @param {CiJob} job
+ */
+const buildCommand = (job) => `docker build ${labelBuildArgs} -t ${job.image} ${job.folder}`
+
+/**
+ * Forms "docker buildx build" command for the job image. If the pipeline has built the parent image,
+ * it is passed as the build context, because the builder cannot see the images loaded into Docker
+ * and the parent has not been pushed to Docker Hub yet.
+ * @param {CiJob} job
+ * @param {string} workspace
+ * @param {string} flags Like "--platform linux/arm64 --load -t cypress/base:14.16.0"
+ */
+const buildxCommand = (job, workspace, flags) => {
+  if (!job.parent || !job.parentImageFile) {
+    return `docker buildx build ${labelBuildArgs} ${flags} ${job.folder}`
+  }
+  const layout = `${workspace}/${ociLayout(job.parentImageFile)}`
+  const parentTag = job.parent.image.split(':')[1]
+  return `BUILD_CONTEXT=""
+if [ -d ${layout} ]; then
+  BUILD_CONTEXT="--build-context ${job.parent.image}=oci-layout://${layout}:${parentTag}"
+fi
+docker buildx build ${labelBuildArgs} ${flags} $BUILD_CONTEXT ${job.folder}`
+}
+
+/**
+ * Unpacks the parent OCI image archive saved by the parent job, if it was built
+ * @param {CiJob} job
+ * @param {string} workspace
+ */
+const loadLayoutCommand = (job, workspace) => {
+  const filename = `${workspace}/${job.parentImageFile}`
+  return `if [ -f ${filename} ]; then
+  mkdir -p ${workspace}/${ociLayout(job.parentImageFile)}
+  tar -xf ${filename} -C ${workspace}/${ociLayout(job.parentImageFile)}
+else
+  echo "Parent image was not built by this pipeline, Docker will pull it"
+fi`
+}
+
+/**
+ * Saves all platforms of the image built with "docker buildx" as OCI image archive
+ * @param {CiJob} job
+ * @param {string} workspace
+ */
+const saveLayoutCommand = (job, workspace) => `mkdir -p ${workspace}
+${buildxCommand(job, workspace, `--platform ${job.platforms.join(',')} -t ${job.image} --output type=oci,dest=${workspace}/${job.imageFile}`)}`
+
+/**
+ * Pushes all platforms of the image built with "docker buildx" as a single multi-platform manifest,
+ * the builder cache has every layer already
+ * @param {CiJob} job
+ * @param {string} workspace
+ */
+const buildxPushCommand = (job, workspace) => `# before pushing, let's check again that the Docker Hub does not have the image
+if ! npx docker-image-not-found --repo ${job.image}; then
+  echo Docker hub has image ${job.image} or not responding, will not push it
+  exit 0
+fi
+echo "$DOCKERHUB_PASS" | docker login -u "$DOCKERHUB_USERNAME" --password-stdin
+${buildxCommand(job, workspace, `--platform ${job.platforms.join(',')} -t ${job.image} --push`)}`
+
+/**
+ * Steps creating the multi-platform builder and building the image for all platforms
+ * @param {CiJob} job
+ * @param {string} workspace
+ * @returns {CiStep[]}
+ */
+const buildxSteps = (job, workspace) => [{
+  name: 'Setting up Docker buildx',
+  command: `# emulate the platforms the runner does not have, like arm64 on amd64 runner
+docker run --privileged --rm tonistiigi/binfmt --install all
+# the default builder cannot build multi-platform images
+docker buildx create --name cypress --driver docker-container --use
+docker buildx inspect --bootstrap`
+}, {
+  name: `building Docker image ${job.image} for ${job.platforms.join(', ')}`,
+  noOutputTimeout: 10,
+  command: buildxCommand(job, workspace, `--platform ${job.platforms.join(',')} -t ${job.image}`)
+}]
+
+/**
+ * The checks run against the image loaded for the given platform,
+ * every "docker run" and "docker build" command gets the platform too
+ * @param {CiStep[]} steps
+ * @param {string} platform
+ * @returns {CiStep[]}
+ */
+const onPlatform = (steps, platform) => steps.map((step) => ({
+  ...step,
+  name: `${step.name} on ${platform}`,
+  command: step.command.replace(/docker (run|build) /g, `docker $1 --platform ${platform} `)
+}))
+
+/**
+ * Forms the CI jobs for all images that should be built, the parent jobs go first.
+ * Expects the parents to be resolved already, see "resolveParents".
+ * Throws an error if an image is built for a platform its parent image is not built for.
+ * @param {import('./image-parents').ImageFolder[]} images
+ * @param {JobOptions} [options]
+ * @returns {CiJob[]}
+ */
+const formJobs = (images, {workspace = '/tmp/workspace'} = {}) => {
+  const built = images.filter(isBuilt)
+  /** @type {Map<import('./image-parents').ImageFolder, CiJob>} */
+  const jobs = new Map()
+
+  const formJob = (imageAndTag) => {
+    if (jobs.has(imageAndTag)) {
+      return jobs.get(imageAndTag)
+    }
+    const folder = `${imageAndTag.name}/${imageAndTag.tag}`
+    const image = `cypress/${imageAndTag.name}:${imageAndTag.tag}`
+    const parentImage = findBuiltParent(imageAndTag, images)
+    // the jobs building images FROM another image built in this pipeline wait for it
+    // and load it from the saved file, because it has not been pushed to Docker Hub yet
+    const parent = parentImage ? formJob(parentImage) : null
+    const hasChildren = built.some((candidate) => candidate.parent === folder)
+
+    const {platforms} = imageAndTag.manifest
+    const repoParent = images.find((candidate) => `${candidate.name}/${candidate.tag}` === imageAndTag.parent)
+    const missing = repoParent ? missingParentPlatforms(platforms, repoParent.manifest.platforms) : []
+    if (missing.length) {
+      throw new Error(`Image ${folder} is built for ${missing.join(', ')}, but its parent ${imageAndTag.parent} is not`)
+    }
+    // the parent image built with "docker buildx" can only be passed to "docker buildx"
+    const buildx = isMultiPlatform(platforms) || Boolean(parent && parent.buildx)
+
+    /** @type {CiJob} */
+    const job = {
+      name: jobName(imageAndTag),
+      id: jobId(imageAndTag),
+      image,
+      folder,
+      // draft images and the pre-release Cypress images are built and tested,
+      // but never pushed to Docker Hub
+      push: shouldPush(imageAndTag.manifest.status) && !isPrerelease(imageAndTag.manifest),
+      parent,
+      parentImageFile: parentImage ? imageFile(parentImage, parent.buildx) : null,
+      imageFile: hasChildren ? imageFile(imageAndTag, buildx) : null,
+      platforms,
+      buildx,
+      build: [],
+      tests: []
+    }
+    if (buildx) {
+      job.build = buildxSteps(job, workspace)
+      // load the image of every platform from the builder cache and check it
+      job.tests = platforms.reduce((steps, platform) => {
+        const flags = `--platform ${platform} --load`
+        const buildImage = (more) => buildxCommand(job, workspace, `${flags} ${more}`)
+        return steps.concat({
+          name: `loading Docker image ${image} for ${platform}`,
+          command: buildImage(`-t ${image}`)
+        }, onPlatform(scenarioSteps({imageAndTag, image, folder, platform, buildImage}), platform))
+      }, [])
+    } else {
+      job.tests = scenarioSteps({imageAndTag, image, folder, platform: defaultPlatform})
+    }
+    jobs.set(imageAndTag, job)
+    return job
+  }
+
+  built.forEach(formJob)
+  return Array.from(jobs.values())
+}
+
+/**
+ * Forms the CI jobs pushing the aliases that point to another image now, see "image-aliases.js".
+ * The alias jobs wait for the job building their target image in the same pipeline.
+ * @param {import('./image-aliases').ImageAlias[]} aliases The changed aliases
+ * @param {import('./image-parents').ImageFolder[]} images
+ * @param {CiJob[]} jobs The image jobs formed by "formJobs"
+ * @returns {CiAliasJob[]}
+ */
+const formAliasJobs = (aliases, images, jobs) => aliases.map((alias) => {
+  const folder = `${alias.kind}/${alias.image}`
+  const target = images.find((imageAndTag) => `${imageAndTag.name}/${imageAndTag.tag}` === folder)
+  if (!target) {
+    throw new Error(`Alias ${alias.kind}:${alias.alias} points to ${folder}, but there is no such image folder`)
+  }
+  const name = `alias ${alias.kind}:${alias.alias}`
+  const image = `cypress/${alias.kind}:${alias.alias}`
+  const targetImage = `cypress/${alias.kind}:${alias.image}`
+  const buildx = isMultiPlatform(target.manifest.platforms)
+  return {
+    name,
+    id: name.replace(/[^\w-]/g, '-'),
+    image,
+    target: targetImage,
+    parent: jobs.find((job) => job.folder === folder) || null,
+    buildx,
+    retag: {
+      name: `Tagging image ${targetImage} as ${image}`,
+      command: retagCommand(image, targetImage, buildx)
+    }
+  }
+})
+
+module.exports = {
+  lintCommands,
+  loadImageCommand,
+  pushCommand,
+  buildCommand,
+  loadLayoutCommand,
+  saveLayoutCommand,
+  buildxPushCommand,
+  formJobs,
+  formAliasJobs
+}
@@ -0,0 +1,113 @@
+// @ts-check
+// which browsers image fits a Cypress version. Cypress bundles its own Node inside the binary,
+// the included image should have the system Node of the same major version, otherwise
+// the plugins run by the system Node behave differently from the bundled one and
+// "check-image-versions.js" reports the mismatch. The table lists the Node major versions
+// bundled by the Cypress releases, see "Bundled Node version" in "cypress version" output
+const semver = require('semver')
+const {nodeMajor} = require('./node-policy')
+const {shouldBuild, shouldPush} = require('./image-status')
+
+/**
+ * The Cypress versions and their bundled Node major version, the first matching range wins
+ * @type {{cypress: string, node: string}[]}
+ */
+const bundledNodeMajors = [
+  {cypress: '<3.5.0', node: '8'},
+  {cypress: '>=3.5.0 <7.0.0', node: '12'},
+  {cypress: '>=7.0.0 <9.0.0', node: '14'},
+  {cypress: '>=9.0.0 <13.0.0', node: '16'},
+  {cypress: '>=13.0.0 <14.0.0', node: '18'},
+  {cypress: '>=14.0.0 <15.0.0', node: '20'},
+  {cypress: '>=15.0.0', node: '22'}
+]
+
+// the browsers the included images are tested with
+const requiredBrowsers = ['chrome', 'firefox']
+
+/**
+ * Returns the Node major version bundled by the Cypress version like "12" for "6.4.0",
+ * the pre-release versions like "6.5.0-beta.1" bundle the Node of their release
+ * @param {string} cypressVersion
+ * @returns {string|null}
+ */
+const bundledNodeMajor = (cypressVersion) => {
+  const version = semver.coerce(cypressVersion)
+  if (!version) {
+    return null
+  }
+  const found = bundledNodeMajors.find((entry) => semver.satisfies(version, entry.cypress))
+  return found ? found.node : null
+}
+
+/**
+ * @typedef {object} BrowsersImage
+ * @property {string} tag Like "node12.18.3-chrome87-ff82"
+ * @property {import('./image-manifest').ImageManifest} manifest
+ */
+
+/**
+ * Returns the reasons the browsers image is a poor base for the included image
+ * with the given Cypress version, empty if the image fits
+ * @param {string} cypressVersion
+ * @param {BrowsersImage} image
+ * @param {string[]} [platforms] The platforms the included image is built for
+ * @returns {string[]}
+ */
+const browsersImageProblems = (cypressVersion, image, platforms = []) => {
+  const {manifest} = image
+  const problems = []
+  const bundled = bundledNodeMajor(cypressVersion)
+  const major = nodeMajor(manifest.node)
+  if (bundled && major !== bundled) {
+    problems.push(`Cypress ${cypressVersion} bundles Node ${bundled}, but the image has Node ${manifest.node || 'unknown'}`)
+  }
+  const missing = requiredBrowsers.filter((browser) => !manifest.browsers[browser])
+  if (missing.length) {
+    problems.push(`the image has no ${missing.join(', ')}`)
+  }
+  if (shouldBuild(manifest.status) && !shouldPush(manifest.status)) {
+    problems.push('the image is a draft that is never pushed')
+  } else if (manifest.status === 'deprecated') {
+    problems.push('the image is deprecated')
+  }
+  const missingPlatforms = platforms.filter((platform) => !manifest.platforms.includes(platform))
+  if (missingPlatforms.length) {
+    problems.push(`the image is not built for ${missingPlatforms.join(', ')}`)
+  }
+  return problems
+}
+
+// the newest Node first, then the newest Chrome and Firefox
+const byNewest = (a, b) => {
+  const versions = (image) => [image.manifest.node, image.manifest.browsers.chrome, image.manifest.browsers.firefox]
+  const [av, bv] = [versions(a), versions(b)]
+  for (let k = 0; k < av.length; k += 1) {
+    const compared = semver.compare(semver.coerce(bv[k]) || '0.0.0', semver.coerce(av[k]) || '0.0.0')
+    if (compared) {
+      return compared
+    }
+  }
+  return b.tag.localeCompare(a.tag)
+}
+
+/**
+ * Picks the newest browsers image that fits the Cypress version: it has the Node major version
+ * Cypress bundles, Chrome and Firefox, and it is pushed to Docker Hub or built by CI.
+ * Returns null if no image fits.
+ * @param {string} cypressVersion
+ * @param {BrowsersImage[]} images The browsers images from this repo
+ * @param {string[]} [platforms] The platforms the included image is built for
+ * @returns {BrowsersImage|null}
+ */
+const pickBrowsersImage = (cypressVersion, images, platforms = []) => {
+  const fitting = images.filter((image) => !browsersImageProblems(cypressVersion, image, platforms).length)
+  return fitting.sort(byNewest)[0] || null
+}
+
+module.exports = {
+  bundledNodeMajors,
+  bundledNodeMajor,
+  browsersImageProblems,
+  pickBrowsersImage
+}
@@ -0,0 +1,134 @@
+// @ts-check
+// finds the interesting information in the image Dockerfile,
+// like the FROM image and the pinned browser versions
+const path = require('path')
+const fs = require('fs')
+
+/**
+ * @typedef {object} DockerfileInfo
+ * @property {string|null} from The first FROM image like "cypress/base:12.18.3"
+ * @property {string|null} nodeVersion From "ENV NODE_VERSION 12.0.0" if the image installs its own Node
+ * @property {string|null} chromeVersion From "ENV CHROME_VERSION 87.0.4280.66"
+ * @property {string|null} firefoxVersion From "ARG FIREFOX_VERSION=82.0"
+ * @property {string|null} edgeVersion From "ENV EDGE_VERSION 88.0.673.0"
+ * @property {string|null} edgeChannel Edge channel like "dev" from the "microsoft-edge-dev" package
+ * @property {string|null} edgePackageVersion Edge version from "microsoft-edge-dev=88.0.673.0-1"
+ * @property {boolean} installsChrome The image installs Google Chrome, pinned or not
+ * @property {string|null} firefoxUrlVersion Firefox version from the download URL
+ *  ".../firefox/releases/82.0/linux-x86_64/..."
+ * @property {string|null} cypressVersion From "npm install -g cypress@6.4.0"
+ * @property {string|null} cypressPackage The NPM tarball of the custom Cypress build
+ *  from "npm install -g https://cdn.cypress.io/beta/npm/.../cypress.tgz"
+ * @property {boolean} chineseFonts The image installs fonts with Chinese characters
+ * @property {string|null} generateCommand The generator command from the file header
+ *  like "npm run add:base -- 14.16.0", null if the file was not generated or is too old to have it
+ */
+
+/**
+ * Returns the value of "ENV <name> <value>", "ENV <name>=<value>"
+ * or "ARG <name>=<value>" instruction, or null if not found
+ * @param {string} text Dockerfile text
+ * @param {string} name Variable name like "CHROME_VERSION"
+ */
+const findVariable = (text, name) => {
+  const regex = new RegExp(`^\\s*(?:ENV|ARG)\\s+${name}(?:\\s+|=)"?([^\\s"]+)"?\\s*$`, 'm')
+  const matches = regex.exec(text)
+  return matches ? matches[1] : null
+}
+
+/**
+ * Replaces "$NAME" and "${NAME}" in the value with the variables
+ * from the Dockerfile, the unknown variables stay as they are
+ * @param {string} text Dockerfile text
+ * @param {string} value
+ */
+const expandVariables = (text, value) => {
+  return value.replace(/\$\{?(\w+)\}?/g, (match, name) => findVariable(text, name) || match)
+}
+
+/**
+ * Finds the first match of the regular expression and returns its first group
+ * with the Dockerfile variables expanded, or null if not found
+ * @param {string} text Dockerfile text
+ * @param {RegExp} regex
+ */
+const findExpanded = (text, regex) => {
+  const matches = regex.exec(text)
+  return matches && matches[1] ? expandVariables(text, matches[1]) : null
+}
+
+/**
+ * Returns the first FROM image, or null if not found
+ * @param {string} text Dockerfile text
+ */
+const findFrom = (text) => {
+  const matches = /^\s*FROM\s+(\S+)/m.exec(text)
+  return matches ? matches[1] : null
+}
+
+/**
+ * Returns the Edge channel from the installed package name, or null if not found
+ * @param {string} text Dockerfile text
+ */
+const findEdgeChannel = (text) => {
+  const matches = /microsoft-edge-(dev|beta|stable)/.exec(text)
+  return matches ? matches[1] : null
+}
+
+/**
+ * Returns the generator command recorded in the header of a generated file, or null if not found
+ *   # WARNING: this file was autogenerated by generate-base-image.js
+ *   # using
+ *   #   npm run add:base -- 14.16.0
+ * @param {string} text Dockerfile, README or build.sh text
+ */
+const findGenerateCommand = (text) => {
+  const matches = /^#?[ \t]+(npm run add:\w+ -- .+?)\s*$/m.exec(text)
+  return matches ? matches[1] : null
+}
+
+/**
+ * Parses the given Dockerfile text
+ * @param {string} text
+ * @returns {DockerfileInfo}
+ */
+const parseDockerfile = (text) => {
+  return {
+    from: findFrom(text),
+    nodeVersion: findVariable(text, 'NODE_VERSION'),
+    chromeVersion: findVariable(text, 'CHROME_VERSION'),
+    firefoxVersion: findVariable(text, 'FIREFOX_VERSION'),
+    edgeVersion: findVariable(text, 'EDGE_VERSION'),
+    edgeChannel: findEdgeChannel(text),
+    edgePackageVersion: findExpanded(text, /microsoft-edge-(?:dev|beta|stable)=([^\s"]+?)(?:-\d+)?["\s]/),
+    installsChrome: /google-chrome-stable/.test(text),
+    firefoxUrlVersion: findExpanded(text, /firefox\/releases\/([^/\s]+)\/linux/),
+    cypressVersion: findExpanded(text, /npm install -g "?cypress@([^\s"]+)/),
+    cypressPackage: findExpanded(text, /npm install -g "?([^\s"]+\.tgz)/),
+    chineseFonts: /fonts-arphic|ttf-wqy/.test(text),
+    generateCommand: findGenerateCommand(text)
+  }
+}
+
+/**
+ * Reads and parses the Dockerfile in the given image folder.
+ * Returns null if the folder has no Dockerfile.
+ * @param {string} folder Image folder like "browsers/node12.18.3-chrome87-ff82"
+ * @returns {DockerfileInfo|null}
+ */
+const readDockerfile = (folder) => {
+  const filename = path.join(folder, 'Dockerfile')
+  if (!fs.existsSync(filename)) {
+    return null
+  }
+  return parseDockerfile(fs.readFileSync(filename, 'utf8'))
+}
+
+module.exports = {
+  findVariable,
+  findFrom,
+  findGenerateCommand,
+  expandVariables,
+  parseDockerfile,
+  readDockerfile
+}
@@ -0,0 +1,65 @@
+// @ts-check
+// the font and locale profiles of the base images. A profile decides which fonts
+// the image installs besides the Cypress dependencies, and can set the locale
+// and time zone variables inside the image. Every base image gets a profile
+//   npm run add:base -- 14.16.0 --fonts minimal
+// the profile is recorded in the generated Dockerfile, README and manifest
+const {fontDependencies} = require('./os-packages')
+
+/**
+ * @typedef {object} FontProfile
+ * @property {string} description Shown in the generated Dockerfile and README
+ * @property {import('./os-packages').Dependency[]} fonts The font packages to install
+ * @property {(family: import('./os-packages').PackageFamily) => {[name: string]: string}} env
+ *  The environment variables like "LANG", "LC_ALL" or "TZ" for the operating system package family
+ */
+
+/** @type {{[name: string]: FontProfile}} */
+const fontProfiles = {
+  minimal: {
+    description: 'no extra fonts, the smallest image',
+    fonts: [],
+    env: () => ({})
+  },
+  cjk: {
+    description: 'emoji and Chinese fonts',
+    fonts: [fontDependencies.emoji, fontDependencies.chinese],
+    env: () => ({})
+  },
+  full: {
+    description: 'emoji, Chinese, Japanese, Korean, Arabic, Hebrew, Thai and Devanagari fonts with UTF-8 locale',
+    fonts: [fontDependencies.emoji, fontDependencies.chinese, fontDependencies.international],
+    // CentOS does not have "C.UTF-8" locale
+    env: (family) => {
+      const locale = family === 'rhel' ? 'en_US.UTF-8' : 'C.UTF-8'
+      return {LANG: locale, LC_ALL: locale, TZ: 'UTC'}
+    }
+  }
+}
+
+// the fonts the base images had before the profiles, the cypress-documentation site
+// needs the Chinese fonts to render its translations
+const defaultFontProfile = 'cjk'
+
+/**
+ * Forms the Dockerfile lines setting the profile environment variables,
+ * empty string if the profile does not set any
+ * @param {string} profile Key in "fontProfiles"
+ * @param {import('./os-packages').PackageFamily} family
+ */
+const profileEnv = (profile, family) => {
+  const env = fontProfiles[profile].env(family)
+  const names = Object.keys(env)
+  if (!names.length) {
+    return ''
+  }
+  return ['# locale and time zone from the font profile']
+    .concat(names.map((name) => `ENV ${name} ${env[name]}`))
+    .join('\n')
+}
+
+module.exports = {
+  fontProfiles,
+  defaultFontProfile,
+  profileEnv
+}
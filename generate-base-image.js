@@ -1,67 +1,175 @@
 // creates new folder base/<version tag> with Dockerfile and README file
+//   npm run add:base -- <Node version> [--os <operating system>] [--platforms <platforms>] [--fonts <profile>]
+//     [--reproducible]
+// the operating system is Debian 10 "buster" by default, see os-packages.js for others.
+// The image installs emoji and Chinese fonts by default, see font-profiles.js for other profiles.
+// The image is built for "linux/amd64" by default, see platforms.js for others.
+// The end-of-life and odd Node major versions are refused, see node-policy.js
+// The reproducible image pins the FROM image, NPM, Yarn and the OS packages to the versions
+// from the lock file in the image folder, see image-lock.js
 const path = require('path')
-const fs = require('fs')
-const shelljs = require('shelljs')
+const arg = require('arg')
 const {isStrictSemver} = require('./utils')
+const {formatTag} = require('./image-tag')
+const {imageName} = require('./image-manifest')
+const {writeFlags, writeOptions, writeImageFolder} = require('./image-files')
+const {operatingSystems, defaultOs, installDependencies} = require('./os-packages')
+const {platforms, defaultPlatforms, parsePlatforms, isMultiPlatform} = require('./platforms')
+const {checkNodePolicy, isUnsupported} = require('./node-policy')
+const {imageLabels, labelInstructions, notPinned} = require('./image-labels')
+const {fontProfiles, defaultFontProfile, profileEnv} = require('./font-profiles')
+const {lockFilename, lockRequest, loadLock, pinnedFrom, formatLock} = require('./image-lock')
 
-const versionTag = process.argv[2]
+const args = arg({
+  ...writeFlags,
+  '--os': String,
+  '--platforms': String,
+  '--fonts': String,
+  '--reproducible': Boolean,
+  '--allow-unsupported-node': Boolean
+})
+
+const versionTag = args._[0]
+const os = args['--os'] || defaultOs
+const fonts = args['--fonts'] || defaultFontProfile
 
 if (!versionTag || !isStrictSemver(versionTag)) {
   console.error('expected version tag argument like "13.6.0"')
   process.exit(1)
 }
+if (!operatingSystems[os]) {
+  console.error('unknown operating system "%s", expected one of %s', os, Object.keys(operatingSystems).join(', '))
+  process.exit(1)
+}
+if (!fontProfiles[fonts]) {
+  console.error('unknown font profile "%s", expected one of %s', fonts, Object.keys(fontProfiles).join(', '))
+  process.exit(1)
+}
+
+// the new images should get a Node version with long-term support before its end-of-life
+const nodePolicy = checkNodePolicy(versionTag)
+if (isUnsupported(nodePolicy) && !args['--allow-unsupported-node']) {
+  console.error(nodePolicy.message)
+  console.error('we do not build new base images with this Node version, pass --allow-unsupported-node to build it anyway')
+  process.exit(1)
+}
+if (nodePolicy.status !== 'supported') {
+  console.warn('⚠️  %s', nodePolicy.message)
+}
+
+let imagePlatforms = defaultPlatforms
+try {
+  imagePlatforms = args['--platforms'] ? parsePlatforms(args['--platforms']) : defaultPlatforms
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+const multiPlatform = isMultiPlatform(imagePlatforms)
+
+const system = operatingSystems[os]
+const fromImage = system.from(versionTag)
+// the default operating system is not part of the tag, others are like "ubuntu20-node14.16.0"
+const imageTag = formatTag({os: os === defaultOs ? null : os, node: versionTag})
+const osOption = os === defaultOs ? '' : ` --os ${os}`
+const platformsOption = multiPlatform ? ` --platforms ${imagePlatforms.join(',')}` : ''
+const fontsOption = fonts === defaultFontProfile ? '' : ` --fonts ${fonts}`
+const reproducibleOption = args['--reproducible'] ? ' --reproducible' : ''
+const unsupportedOption = args['--allow-unsupported-node'] ? ' --allow-unsupported-node' : ''
+const generateCommand = `npm run add:base -- ${versionTag}${osOption}${platformsOption}${fontsOption}` +
+  `${reproducibleOption}${unsupportedOption}`
+const fontProfile = fontProfiles[fonts]
+const fontEnv = profileEnv(fonts, system.family)
+// the multi-platform images are built using "docker buildx"
+const buildCommand = multiPlatform ?
+  `docker buildx build --platform ${imagePlatforms.join(',')} -t cypress/base:${imageTag} .` :
+  `docker build -t cypress/base:${imageTag} .`
+const outputFolder = path.join('base', imageTag)
+
+let lock = null
+if (args['--reproducible']) {
+  try {
+    const request = lockRequest({name: imageName('base'), from: fromImage, os, fonts})
+    // the previews do not resolve the missing lock, it needs Docker and the network
+    const {dryRun, diff} = writeOptions(args)
+    lock = loadLock(outputFolder, request, {preview: dryRun || diff})
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+}
+const pinnedFromImage = lock ? pinnedFrom(lock) : fromImage
+const npmVersion = lock ? lock.npm : notPinned
+const yarnVersion = lock ? lock.yarn : notPinned
 
-const outputFolder = path.join('base', versionTag)
-if (shelljs.test('-d', outputFolder)) {
-  console.log('removing existing folder "%s"', outputFolder)
-  shelljs.rm('-rf', outputFolder)
+// the official Node image has Node already, other operating systems
+// get the exact Node version from the official binaries
+const singlePlatformNodeInstall = `
+# install Node ${versionTag} from the official binaries
+RUN curl -fsSL https://nodejs.org/dist/v${versionTag}/node-v${versionTag}-linux-x64.tar.xz \\
+  | tar -xJ -C /usr/local --strip-components=1
+RUN node --version
+`
+
+// the Node binary file names use their own architecture names like "x64"
+const nodeArchCases = imagePlatforms.map((platform) => {
+  const {arch, nodeArch} = platforms[platform]
+  return `    ${arch}) NODE_ARCH=${nodeArch} ;; \\`
+}).join('\n')
+const multiPlatformNodeInstall = `
+# install Node ${versionTag} from the official binaries for the target platform
+ARG TARGETARCH
+RUN case "$TARGETARCH" in \\
+${nodeArchCases}
+    *) echo "Unsupported architecture $TARGETARCH" && exit 1 ;; \\
+  esac && \\
+  curl -fsSL https://nodejs.org/dist/v${versionTag}/node-v${versionTag}-linux-$NODE_ARCH.tar.xz \\
+  | tar -xJ -C /usr/local --strip-components=1
+RUN node --version
+`
+const nodeInstall = multiPlatform ? multiPlatformNodeInstall : singlePlatformNodeInstall
+
+const manifest = {
+  name: imageName('base'),
+  tag: imageTag,
+  from: pinnedFromImage,
+  os,
+  node: versionTag,
+  nodeEol: nodePolicy.end,
+  // NPM and Yarn are installed using "@latest" unless the image is reproducible,
+  // then the versions are known before the build
+  npm: lock ? lock.npm : null,
+  yarn: lock ? lock.yarn : null,
+  cypress: null,
+  browsers: {},
+  user: 'root',
+  platforms: imagePlatforms,
+  fonts,
+  status: 'building',
+  // CI checks the labels of the new images
+  test: {scenarios: {labels: true}}
 }
-console.log('creating "%s"', outputFolder)
-shelljs.mkdir(outputFolder)
 
 const Dockerfile = `
 # WARNING: this file was autogenerated by ${path.basename(__filename)}
+# using
+#   ${generateCommand}
+# font profile "${fonts}": ${fontProfile.description}
+${lock ? `# reproducible: the exact versions come from ${lockFilename}
+` : ''}#
 # contains all dependencies for running Cypress.io Test Runner
 # https://on.cypress.io/docker and https://on.cypress.io/ci
 #
 # build it with command
-#   docker build -t cypress/base:${versionTag} .
+#   ${buildCommand}
 #
-FROM node:${versionTag}-buster
-
-RUN apt-get update && \\
-  apt-get install --no-install-recommends -y \\
-  libgtk2.0-0 \\
-  libgtk-3-0 \\
-  libnotify-dev \\
-  libgconf-2-4 \\
-  libgbm-dev \\
-  libnss3 \\
-  libxss1 \\
-  libasound2 \\
-  libxtst6 \\
-  xauth \\
-  xvfb \\
-  # install emoji font
-  fonts-noto-color-emoji \\
-  # install Chinese fonts
-  # this list was copied from https://github.com/jim3ma/docker-leanote
-  fonts-arphic-bkai00mp \\
-  fonts-arphic-bsmi00lp \\
-  fonts-arphic-gbsn00lp \\
-  fonts-arphic-gkai00mp \\
-  fonts-arphic-ukai \\
-  fonts-arphic-uming \\
-  ttf-wqy-zenhei \\
-  ttf-wqy-microhei \\
-  xfonts-wqy \\
-  # clean up
-  && rm -rf /var/lib/apt/lists/*
-
-RUN npm install -g npm@latest
+FROM ${pinnedFromImage}
+${system.setup ? '\n' + system.setup.join('\n') + '\n' : ''}
+${installDependencies(os, fontProfile.fonts, lock ? lock.packages : {})}
+${fontEnv ? '\n' + fontEnv + '\n' : ''}${system.hasNode ? '' : nodeInstall}
+RUN npm install -g npm@${npmVersion}
 RUN npm --version
 
-RUN npm install -g yarn@latest --force
+RUN npm install -g yarn@${yarnVersion} --force
 RUN yarn --version
 
 # a few environment variables to make NPM installs easier
@@ -79,18 +187,19 @@ RUN node -p process.versions
 RUN echo  " node version:    $(node -v) \\n" \\
   "npm version:     $(npm -v) \\n" \\
   "yarn version:    $(yarn -v) \\n" \\
-  "debian version:  $(cat /etc/debian_version) \\n" \\
+  ${system.versionLine} \\
   "user:            $(whoami) \\n"
+
+${labelInstructions(imageLabels(manifest, generateCommand))}
 `
-const dockerFilename = path.join(outputFolder, 'Dockerfile')
-fs.writeFileSync(dockerFilename, Dockerfile.trim() + '\n', 'utf8')
-console.log('Saved %s', dockerFilename)
+/** @type {import('./image-files').GeneratedFile[]} */
+const files = [{name: 'Dockerfile', content: Dockerfile.trim() + '\n'}]
 
 const README = `
 <!-- WARNING: this file was autogenerated by ${path.basename(__filename)} -->
-# cypress/base:${versionTag}
+# cypress/base:${imageTag}
 
-A Docker image with all dependencies pre-installed.
+A Docker image based on ${system.title} with all dependencies pre-installed.
 Just add your NPM packages (including Cypress) and run the tests.
 See [Cypress Docker docs](https://on.cypress.io/docker) and
 [Cypress CI guide](https://on.cypress.io/ci).
@@ -100,16 +209,28 @@ See [Cypress Docker docs](https://on.cypress.io/docker) and
 Sample Dockerfile
 
 \`\`\`
-FROM cypress/base:${versionTag}
+FROM cypress/base:${imageTag}
 RUN npm install --save-dev cypress
 RUN $(npm bin)/cypress verify
 RUN $(npm bin)/cypress run
 \`\`\`
-`
 
-const readmeFilename = path.join(outputFolder, 'README.md')
-fs.writeFileSync(readmeFilename, README.trim() + '\n', 'utf8')
-console.log('Saved %s', readmeFilename)
+## Fonts
+
+The image has the font profile "${fonts}": ${fontProfile.description}.
+Generated with
+
+    ${generateCommand}
+${lock ? `
+## Reproducible build
+
+The image installs the exact NPM, Yarn and OS package versions from [${lockFilename}](./${lockFilename})
+and starts FROM the image digest. Refresh the versions on purpose with
+
+    npm run lock -- ${outputFolder}
+` : ''}`
+
+files.push({name: 'README.md', content: README.trim() + '\n'})
 
 // to make building images simpler and to follow the same pattern as previous builds
 const buildScript = `
@@ -117,22 +238,34 @@ const buildScript = `
 set e+x
 
 # build image with Cypress dependencies
-LOCAL_NAME=cypress/base:${versionTag}
+LOCAL_NAME=cypress/base:${imageTag}
 
 echo "Building $LOCAL_NAME"
-docker build -t $LOCAL_NAME .
+${multiPlatform ? `# builds the image for the current platform only, for all platforms use
+#   ${buildCommand}
+` : ''}docker build -t $LOCAL_NAME .
 `
 
-const buildFilename = path.join(outputFolder, 'build.sh')
-fs.writeFileSync(buildFilename, buildScript.trim() + '\n', 'utf8')
-shelljs.chmod('a+x', buildFilename)
-console.log('Saved %s', buildFilename)
+files.push({name: 'build.sh', content: buildScript.trim() + '\n', executable: true})
+if (lock) {
+  files.push({name: lockFilename, content: formatLock(lock), untracked: true})
+}
+
+try {
+  if (!writeImageFolder(outputFolder, files, manifest, writeOptions(args))) {
+    process.exit(0)
+  }
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
 
 console.log(`
-Please add the newly generated folder ${outputFolder} to Git and update CircleCI file with
+Please add the newly generated folder ${outputFolder} to Git and update CircleCI file
+and the list of images in "base/README.md" with
 
     npm run build
+    npm run readme
 
-Build the Docker container locally to make sure it is correct and update "base/README.md" list
-of images with the new image information.
+Build the Docker container locally to make sure it is correct.
 `)
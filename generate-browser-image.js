@@ -0,0 +1,448 @@
+// creates new folder browsers/node<Node version>-chrome<XX>-ff<YY>-edge<ZZ>
+// with Dockerfile, README and build files
+// the image is built for the same platforms as its base image, or for the given platforms
+//   npm run add:browsers -- cypress/base:14.16.0 --chrome 87 --platforms linux/amd64,linux/arm64
+// the end-of-life and odd Node major versions of the base image are refused, see node-policy.js
+const path = require('path')
+const arg = require('arg')
+const {parseTag, formatTag, hasFullNodeVersion, splitImageName} = require('./image-tag')
+const {imageName, readManifest} = require('./image-manifest')
+const {writeFlags, writeOptions, writeImageFolder} = require('./image-files')
+const {loadCatalog, resolveBrowserVersion, downloadUrl, edgePackage, edgeChannels} = require('./browser-catalog')
+const {platforms, defaultPlatform, defaultPlatforms, parsePlatforms, isMultiPlatform,
+  platformBrowsers, missingParentPlatforms} = require('./platforms')
+const {checkNodePolicy, isUnsupported} = require('./node-policy')
+const {imageLabels, labelInstructions} = require('./image-labels')
+const {osFamily} = require('./os-packages')
+
+const args = arg({
+  ...writeFlags,
+  '--chrome': String,
+  '--firefox': String,
+  '--edge': String,
+  '--edge-channel': String,
+  '--platforms': String,
+  '--allow-unsupported-node': Boolean
+})
+
+const baseImageTag = args._[0]
+
+if (!baseImageTag) {
+  console.error('expected base Docker image tag like "cypress/base:12.18.3"')
+  process.exit(1)
+}
+if (!baseImageTag.startsWith('cypress/base:')) {
+  console.error('expected the base Docker image tag to be one of "cypress/base:*"')
+  console.error('but it was "%s"', baseImageTag)
+  process.exit(1)
+}
+let baseTag
+try {
+  baseTag = parseTag(splitImageName(baseImageTag).tag, 'base')
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+if (!hasFullNodeVersion(baseTag)) {
+  console.error('expected the base Docker image tag to have full Node version like "cypress/base:12.18.3"')
+  console.error('but it was "%s"', baseImageTag)
+  process.exit(1)
+}
+
+// the new images should get a Node version with long-term support before its end-of-life
+const nodePolicy = checkNodePolicy(baseTag.node)
+if (isUnsupported(nodePolicy) && !args['--allow-unsupported-node']) {
+  console.error(nodePolicy.message)
+  console.error('we do not build new browsers images with this Node version, pass --allow-unsupported-node to build it anyway')
+  process.exit(1)
+}
+if (nodePolicy.status !== 'supported') {
+  console.warn('⚠️  %s', nodePolicy.message)
+}
+
+// the base image from this repo might know its operating system, tool versions and platforms
+const baseManifest = readManifest(path.join('base', splitImageName(baseImageTag).tag))
+const baseOs = baseManifest ? baseManifest.os : baseTag.os
+// the browsers are installed using apt-get and the Debian packages
+if (osFamily(baseOs) !== 'debian') {
+  console.error('the base image %s is built on %s, the browsers images can only be built on Debian', baseImageTag, baseOs)
+  process.exit(1)
+}
+const basePlatforms = (baseManifest && baseManifest.platforms) || defaultPlatforms
+let imagePlatforms = basePlatforms
+try {
+  imagePlatforms = args['--platforms'] ? parsePlatforms(args['--platforms']) : basePlatforms
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+const missingPlatforms = missingParentPlatforms(imagePlatforms, basePlatforms)
+if (missingPlatforms.length) {
+  console.error('the base image %s is not built for %s', baseImageTag, missingPlatforms.join(', '))
+  process.exit(1)
+}
+// the browser versions in the tag are the versions installed on linux/amd64
+if (!imagePlatforms.includes(defaultPlatform)) {
+  console.error('expected the platforms to include %s', defaultPlatform)
+  process.exit(1)
+}
+const multiPlatform = isMultiPlatform(imagePlatforms)
+
+if (!args['--chrome'] && !args['--firefox'] && !args['--edge']) {
+  console.error('expected at least one browser version, for example')
+  console.error('  --chrome 87 --firefox 82 --edge 88.0.673.0')
+  process.exit(1)
+}
+
+// browser versions are major versions like "87" resolved through the browser catalog,
+// or full versions like "87.0.4280.66" or "82.0"
+const catalog = loadCatalog()
+const browserReleases = {}
+try {
+  ['chrome', 'firefox', 'edge'].forEach((browser) => {
+    const version = args[`--${browser}`]
+    if (version) {
+      browserReleases[browser] = resolveBrowserVersion(catalog, browser, version)
+    }
+  })
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+const chromeVersion = browserReleases.chrome && browserReleases.chrome.version
+const firefoxVersion = browserReleases.firefox && browserReleases.firefox.version
+const edgeVersion = browserReleases.edge && browserReleases.edge.version
+// Edge comes from the given channel, or the channel of the version in the catalog,
+// or the stable channel for the versions missing from the catalog
+const catalogEdgeChannel = browserReleases.edge && browserReleases.edge.channel
+const edgeChannel = args['--edge-channel'] || catalogEdgeChannel || 'stable'
+if (!edgeChannels.includes(edgeChannel)) {
+  console.error('expected the Edge channel to be one of %s', edgeChannels.join(', '))
+  console.error('but it was "%s"', edgeChannel)
+  process.exit(1)
+}
+if (args['--edge-channel'] && !edgeVersion) {
+  console.error('expected --edge with --edge-channel')
+  process.exit(1)
+}
+if (catalogEdgeChannel && edgeChannel !== catalogEdgeChannel) {
+  console.warn('⚠️  the browser catalog has Edge %s in the %s channel, installing it from the %s channel',
+    edgeVersion, catalogEdgeChannel, edgeChannel)
+}
+const browserVersions = {
+  chrome: chromeVersion,
+  firefox: firefoxVersion,
+  edge: edgeVersion
+}
+
+const majorVersion = (version) => parseInt(version.split('.')[0])
+
+// the folder name follows the naming scheme the CircleCI config generator parses
+// "node<full Node version>-chrome<major>-ff<major>-edge<major>"
+const browserMajors = {}
+// only the browsers we install, with their full versions
+const installedBrowsers = {}
+Object.keys(browserVersions).forEach((browser) => {
+  if (browserVersions[browser]) {
+    browserMajors[browser] = majorVersion(browserVersions[browser])
+    installedBrowsers[browser] = browserVersions[browser]
+  }
+})
+const imageTag = formatTag({...baseTag, browsers: browserMajors})
+
+// the exact command used to generate the image with the resolved browser versions,
+// recorded in every generated file
+let generateCommand = `npm run add:browsers -- ${baseImageTag}`
+if (chromeVersion) {
+  generateCommand += ` --chrome ${chromeVersion}`
+}
+if (firefoxVersion) {
+  generateCommand += ` --firefox ${firefoxVersion}`
+}
+if (edgeVersion) {
+  generateCommand += ` --edge ${edgeVersion} --edge-channel ${edgeChannel}`
+}
+if (args['--platforms']) {
+  generateCommand += ` --platforms ${imagePlatforms.join(',')}`
+}
+if (args['--allow-unsupported-node']) {
+  generateCommand += ' --allow-unsupported-node'
+}
+// the multi-platform images are built using "docker buildx"
+const buildCommand = multiPlatform ?
+  `docker buildx build --platform ${imagePlatforms.join(',')} -t cypress/browsers:${imageTag} .` :
+  `docker build -t cypress/browsers:${imageTag} .`
+
+const outputFolder = path.join('browsers', imageTag)
+
+const chromeInstall = `
+# Chrome dependencies
+RUN apt-get update
+RUN apt-get install -y fonts-liberation libappindicator3-1 xdg-utils
+
+# install Chrome browser
+# check https://chromium.cypress.io/
+ENV CHROME_VERSION ${chromeVersion}
+RUN wget -O /usr/src/google-chrome-stable_current_amd64.deb "${downloadUrl(catalog, 'chrome', '${CHROME_VERSION}')}" && \\
+  dpkg -i /usr/src/google-chrome-stable_current_amd64.deb ; \\
+  apt-get install -f -y && \\
+  rm -f /usr/src/google-chrome-stable_current_amd64.deb
+RUN google-chrome --version
+`
+
+const firefoxInstall = `
+# add codecs needed for video playback in firefox
+# https://github.com/cypress-io/cypress-docker-images/issues/150
+RUN apt-get update && apt-get install mplayer -y
+
+# install Firefox browser
+ARG FIREFOX_VERSION=${firefoxVersion}
+RUN wget --no-verbose -O /tmp/firefox.tar.bz2 ${downloadUrl(catalog, 'firefox', '$FIREFOX_VERSION')} \\
+  && tar -C /opt -xjf /tmp/firefox.tar.bz2 \\
+  && rm /tmp/firefox.tar.bz2 \\
+  && ln -fs /opt/firefox/firefox /usr/bin/firefox
+RUN firefox --version
+`
+
+const edgeInstall = `
+# install Edge browser from the Microsoft apt repository
+# https://www.microsoftedgeinsider.com/en-us/download/?platform=linux-deb
+ENV EDGE_VERSION ${edgeVersion}
+RUN curl https://packages.microsoft.com/keys/microsoft.asc | gpg --dearmor > microsoft.gpg && \\
+  install -o root -g root -m 644 microsoft.gpg /etc/apt/trusted.gpg.d/ && \\
+  rm microsoft.gpg && \\
+  echo "deb [arch=amd64] ${catalog.edge.download} stable main" > /etc/apt/sources.list.d/microsoft-edge-${edgeChannel}.list && \\
+  apt-get update && \\
+  apt-get install -y "${edgePackage(catalog, edgeChannel, '${EDGE_VERSION}')}"
+# Add a link to the browser that allows Cypress to find it
+RUN ln -s /usr/bin/microsoft-edge /usr/bin/edge
+RUN edge --version
+`
+
+// the multi-platform images install every browser only on the platforms
+// it has Linux builds for, or install its replacement like Chromium instead of Chrome
+const archesWith = (browser) => imagePlatforms
+  .filter((platform) => platforms[platform].browsers.includes(browser))
+  .map((platform) => platforms[platform].arch)
+const archesWithReplacement = (browser) => imagePlatforms
+  .filter((platform) => platforms[platform].replacements[browser])
+  .map((platform) => platforms[platform].arch)
+const archCondition = (arches) => arches.map((arch) => `[ "$TARGETARCH" = "${arch}" ]`).join(' || ')
+const chromiumArches = archesWithReplacement('chrome')
+
+const multiPlatformChromeInstall = `
+# Chrome dependencies
+RUN apt-get update
+RUN apt-get install -y fonts-liberation libappindicator3-1 xdg-utils
+
+# install Chrome browser, Google builds it for ${archesWith('chrome').join(', ')} only${chromiumArches.length ? `
+# on ${chromiumArches.join(', ')} install Chromium from the Debian packages instead` : ''}
+# check https://chromium.cypress.io/
+ENV CHROME_VERSION ${chromeVersion}
+RUN if ${archCondition(archesWith('chrome'))}; then \\
+    wget -O /usr/src/google-chrome-stable_current_amd64.deb "${downloadUrl(catalog, 'chrome', '${CHROME_VERSION}')}" && \\
+    dpkg -i /usr/src/google-chrome-stable_current_amd64.deb ; \\
+    apt-get install -f -y && \\
+    rm -f /usr/src/google-chrome-stable_current_amd64.deb && \\
+    google-chrome --version ; \\
+${chromiumArches.length ? `  elif ${archCondition(chromiumArches)}; then \\
+    apt-get install -y chromium && \\
+    chromium --version ; \\
+` : ''}  fi
+`
+
+const multiPlatformFirefoxInstall = `
+# add codecs needed for video playback in firefox
+# https://github.com/cypress-io/cypress-docker-images/issues/150
+RUN apt-get update && apt-get install mplayer -y
+
+# install Firefox browser, Mozilla builds it for ${archesWith('firefox').join(', ')} only
+ARG FIREFOX_VERSION=${firefoxVersion}
+RUN if ${archCondition(archesWith('firefox'))}; then \\
+    wget --no-verbose -O /tmp/firefox.tar.bz2 ${downloadUrl(catalog, 'firefox', '$FIREFOX_VERSION')} && \\
+    tar -C /opt -xjf /tmp/firefox.tar.bz2 && \\
+    rm /tmp/firefox.tar.bz2 && \\
+    ln -fs /opt/firefox/firefox /usr/bin/firefox && \\
+    firefox --version ; \\
+  fi
+`
+
+const multiPlatformEdgeInstall = `
+# install Edge browser from the Microsoft apt repository, Microsoft builds it for ${archesWith('edge').join(', ')} only
+# https://www.microsoftedgeinsider.com/en-us/download/?platform=linux-deb
+ENV EDGE_VERSION ${edgeVersion}
+RUN if ${archCondition(archesWith('edge'))}; then \\
+    curl https://packages.microsoft.com/keys/microsoft.asc | gpg --dearmor > microsoft.gpg && \\
+    install -o root -g root -m 644 microsoft.gpg /etc/apt/trusted.gpg.d/ && \\
+    rm microsoft.gpg && \\
+    echo "deb [arch=amd64] ${catalog.edge.download} stable main" > /etc/apt/sources.list.d/microsoft-edge-${edgeChannel}.list && \\
+    apt-get update && \\
+    apt-get install -y "${edgePackage(catalog, edgeChannel, '${EDGE_VERSION}')}" && \\
+    ln -s /usr/bin/microsoft-edge /usr/bin/edge && \\
+    edge --version ; \\
+  fi
+`
+
+const installs = multiPlatform ? {
+  chrome: multiPlatformChromeInstall,
+  firefox: multiPlatformFirefoxInstall,
+  edge: multiPlatformEdgeInstall
+} : {
+  chrome: chromeInstall,
+  firefox: firefoxInstall,
+  edge: edgeInstall
+}
+
+let browserVersionsEcho = ''
+if (chromeVersion) {
+  browserVersionsEcho += '  "Chrome version:  $(google-chrome --version) \\n" \\\n'
+}
+if (firefoxVersion) {
+  browserVersionsEcho += '  "Firefox version: $(firefox --version) \\n" \\\n'
+}
+if (edgeVersion) {
+  browserVersionsEcho += '  "Edge version:    $(edge --version) \\n" \\\n'
+}
+
+const manifest = {
+  name: imageName('browsers'),
+  tag: imageTag,
+  from: baseImageTag,
+  os: baseOs,
+  node: baseTag.node,
+  nodeEol: nodePolicy.end,
+  npm: baseManifest ? baseManifest.npm : baseTag.npm,
+  yarn: baseManifest ? baseManifest.yarn : null,
+  cypress: null,
+  browsers: installedBrowsers,
+  ...(edgeVersion ? {edgeChannel} : {}),
+  user: 'root',
+  platforms: imagePlatforms,
+  status: 'building',
+  // CI checks the labels of the new images
+  test: {scenarios: {labels: true}}
+}
+
+const Dockerfile = `
+# WARNING: this file was autogenerated by ${path.basename(__filename)}
+# using
+#   ${generateCommand}
+#
+# build this image with command
+#   ${buildCommand}
+#
+FROM ${baseImageTag}
+
+USER root
+${multiPlatform ? '\n# set by "docker buildx" like "amd64" or "arm64"\nARG TARGETARCH\n' : ''}
+RUN node --version
+${chromeVersion ? installs.chrome : ''}
+# "fake" dbus address to prevent errors
+# https://github.com/SeleniumHQ/docker-selenium/issues/87
+ENV DBUS_SESSION_BUS_ADDRESS=/dev/null
+
+# Add zip utility - it comes in very handy
+RUN apt-get update && apt-get install -y zip
+${firefoxVersion ? installs.firefox : ''}${edgeVersion ? installs.edge : ''}
+# versions of local tools
+RUN echo  " node version:    $(node -v) \\n" \\
+  "npm version:     $(npm -v) \\n" \\
+  "yarn version:    $(yarn -v) \\n" \\
+  "debian version:  $(cat /etc/debian_version) \\n" \\
+${browserVersionsEcho}  "git version:     $(git --version) \\n" \\
+  "whoami:          $(whoami) \\n"
+
+# a few environment variables to make NPM installs easier
+# good colors for most applications
+ENV TERM xterm
+# avoid million NPM install messages
+ENV npm_config_loglevel warn
+# allow installing when the main user is root
+ENV npm_config_unsafe_perm true
+
+${labelInstructions(imageLabels(manifest, generateCommand))}
+`
+/** @type {import('./image-files').GeneratedFile[]} */
+const files = [{name: 'Dockerfile', content: Dockerfile.trim() + '\n'}]
+
+const browserNames = []
+if (chromeVersion) {
+  browserNames.push(`Chrome ${majorVersion(chromeVersion)}`)
+}
+if (firefoxVersion) {
+  browserNames.push(`Firefox ${majorVersion(firefoxVersion)}`)
+}
+if (edgeVersion) {
+  browserNames.push(`Edge ${majorVersion(edgeVersion)} (${edgeChannel} channel)`)
+}
+
+// lists the browsers each platform of the multi-platform image has
+let platformsNote = ''
+if (multiPlatform) {
+  const installedNames = {chrome: 'Chrome', chromium: 'Chromium', firefox: 'Firefox', edge: 'Edge'}
+  const lines = imagePlatforms.map((platform) => {
+    const found = platformBrowsers(platform, Object.keys(browserMajors))
+    const names = found.map(({installed}) => installedNames[installed])
+    return `- \`${platform}\`: ${names.length ? names.join(', ') : 'no browsers'} and the built-in Electron`
+  })
+  platformsNote = `This is a multi-platform image, Docker pulls the image for your platform:
+
+${lines.join('\n')}
+
+`
+}
+
+const README = `
+<!--
+WARNING: this file was autogenerated by ${path.basename(__filename)} using
+
+    ${generateCommand}
+-->
+
+# cypress/browsers:${imageTag}
+
+A complete image with all operating system dependencies for Cypress and
+${browserNames.join(', ')} browsers.
+
+[Dockerfile](Dockerfile)
+
+${platformsNote}**Note:** this image uses the \`root\` user. You might want to switch to non-root
+user like \`node\` when running this container for security.
+`
+
+files.push({name: 'README.md', content: README.trim() + '\n'})
+
+// to make building images simpler and to follow the same pattern as previous builds
+const buildScript = `
+# WARNING: this file was autogenerated by ${path.basename(__filename)}
+# using
+#   ${generateCommand}
+set e+x
+
+LOCAL_NAME=cypress/browsers:${imageTag}
+echo "Building $LOCAL_NAME"
+${multiPlatform ? `# builds the image for the current platform only, for all platforms use
+#   ${buildCommand}
+` : ''}docker build -t $LOCAL_NAME .
+`
+
+files.push({name: 'build.sh', content: buildScript.trim() + '\n', executable: true})
+
+try {
+  if (!writeImageFolder(outputFolder, files, manifest, writeOptions(args))) {
+    process.exit(0)
+  }
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+
+console.log(`
+Please add the newly generated folder ${outputFolder} to Git and update CircleCI file
+and the list of images in "browsers/README.md" with
+
+    npm run build
+    npm run readme
+
+Build the Docker container locally to make sure it is correct.
+`)
@@ -1,54 +1,221 @@
 // creates new folder included/<Cypress version> with Dockerfile and README file
+//   npm run add:included -- <Cypress version> [browsers image] [--user root|node|mapped] [--platforms <platforms>]
+//     [--reproducible]
+// without the browsers image, picks the newest browsers image from this repo with Chrome, Firefox
+// and the Node major version the Cypress version bundles, see "cypress-node.js".
+// the images running as non-root user get the user mode in their tag, like "6.4.0-node".
+// The image is built for the same platforms as its browsers image, or for the given platforms.
+// A pre-release Cypress version like "6.5.0-beta.1" is installed from NPM. A custom Cypress build
+// is installed from the NPM tarball and the binary zip, given as URLs or local files
+//   npm run add:included -- 6.5.0 <browsers image> --npm <cypress.tgz> --binary <cypress.zip> [--sha <commit>]
+// its tag has the commit SHA found in the URLs or given with "--sha", like "6.5.0-beta.cb0f32b".
+// The pre-release images are drafts: CI builds and tests them, but never pushes them.
+// The reproducible image pins NPM and Yarn to the versions from the lock file in the image folder,
+// see image-lock.js
 const path = require('path')
 const fs = require('fs')
-const shelljs = require('shelljs')
+const arg = require('arg')
+const semver = require('semver')
 const {isStrictSemver} = require('./utils')
+const {parseTag, formatTag, splitImageName, includedUserSuffixes} = require('./image-tag')
+const {imageName, loadManifest} = require('./image-manifest')
+const {writeFlags, writeOptions, writeImageFolder} = require('./image-files')
+const {parsePlatforms, isMultiPlatform, platformsWithoutCypress, missingParentPlatforms} = require('./platforms')
+const {nodeEndOfLife} = require('./node-policy')
+const {imageLabels, labelInstructions, notPinned} = require('./image-labels')
+const {loadImages} = require('./generate-config')
+const {bundledNodeMajor, browsersImageProblems, pickBrowsersImage} = require('./cypress-node')
+const {lockFilename, lockRequest, loadLock, formatLock} = require('./image-lock')
+const {hasNodeUser} = require('./os-packages')
 
-const versionTag = process.argv[2]
-const baseImageTag = process.argv[3]
+const args = arg({
+  ...writeFlags,
+  '--user': String,
+  '--platforms': String,
+  '--npm': String,
+  '--binary': String,
+  '--sha': String,
+  '--reproducible': Boolean
+})
 
-if (!versionTag || !isStrictSemver(versionTag)) {
-  console.error('expected Cypress version argument like "3.8.3"')
+const version = args._[0]
+let baseImageTag = args._[1]
+const user = args['--user'] || 'root'
+const npmPackage = args['--npm']
+const binary = args['--binary']
+
+if (!version || !isStrictSemver(version)) {
+  console.error('expected Cypress version argument like "3.8.3" or "6.5.0-beta.1"')
   process.exit(1)
 }
-if (!baseImageTag) {
-  console.error('expected base Docker image tag like "cypress/browsers:node12.6.0-chrome77"')
+if (Boolean(npmPackage) !== Boolean(binary)) {
+  console.error('expected both the NPM tarball --npm and the binary zip --binary of the custom Cypress build')
   process.exit(1)
 }
-if (!baseImageTag.startsWith('cypress/browsers:')) {
+if (baseImageTag && !baseImageTag.startsWith('cypress/browsers:')) {
   console.error('expected the base Docker image tag to be one of "cypress/browsers:*"')
   console.error('but it was "%s"', baseImageTag)
   process.exit(1)
 }
+if (user !== 'root' && !includedUserSuffixes.includes(user)) {
+  console.error('expected the user to be one of root, %s', includedUserSuffixes.join(', '))
+  console.error('but it was "%s"', user)
+  process.exit(1)
+}
 
-const outputFolder = path.join('included', versionTag)
-if (shelljs.test('-d', outputFolder)) {
-  console.log('removing existing folder "%s"', outputFolder)
-  shelljs.rm('-rf', outputFolder)
+// the custom build is in the CDN folder like ".../circle-develop-<commit SHA>-266811/cypress.tgz"
+const findSha = (location) => {
+  const matches = /\b([0-9a-f]{40})\b/.exec(location)
+  return matches ? matches[1] : null
 }
-console.log('creating "%s"', outputFolder)
-shelljs.mkdir(outputFolder)
+const sha = npmPackage ? args['--sha'] || findSha(npmPackage) || findSha(binary) : null
+if (npmPackage && !sha) {
+  console.error('cannot find the commit SHA of the custom Cypress build in the URLs, pass it with --sha')
+  process.exit(1)
+}
+// the custom build gets the short commit SHA in its tag, unless its version is a pre-release already
+const versionTag = sha && !semver.prerelease(version) ? `${version}-beta.${sha.slice(0, 7)}` : version
+if (!isStrictSemver(versionTag)) {
+  console.error('cannot form Cypress version from "%s" and commit SHA "%s"', version, sha)
+  process.exit(1)
+}
+const prerelease = Boolean(semver.prerelease(versionTag))
 
-const Dockerfile = `
-# WARNING: this file was autogenerated by ${path.basename(__filename)}
-# using
-#   npm run add:included -- ${versionTag} ${baseImageTag}
-#
-# build this image with command
-#   docker build -t cypress/included:${versionTag} .
-#
-FROM ${baseImageTag}
+let requestedPlatforms = null
+try {
+  requestedPlatforms = args['--platforms'] ? parsePlatforms(args['--platforms']) : null
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
 
-# avoid too many progress messages
-# https://github.com/cypress-io/cypress/issues/1243
-ENV CI=1
+const browsersImages = loadImages().filter((image) => image.name === 'browsers')
+const bundledNode = bundledNodeMajor(versionTag)
+if (!baseImageTag) {
+  const picked = pickBrowsersImage(versionTag, browsersImages, requestedPlatforms || [])
+  if (!picked) {
+    console.error('cannot find a browsers image with Node %s bundled by Cypress %s, Chrome and Firefox%s',
+      bundledNode, versionTag, requestedPlatforms ? ` for ${requestedPlatforms.join(', ')}` : '')
+    console.error('add the browsers image first with "npm run add:browsers" or pass the browsers image')
+    process.exit(1)
+  }
+  baseImageTag = `cypress/browsers:${picked.tag}`
+  console.log('picked %s, the newest browsers image with Node %s bundled by Cypress %s, Chrome and Firefox',
+    baseImageTag, bundledNode, versionTag)
+}
 
-# disable shared memory X11 affecting Cypress v4 and Chrome
-# https://github.com/cypress-io/cypress-docker-images/issues/270
-ENV QT_X11_NO_MITSHM=1
-ENV _X11_NO_MITSHM=1
-ENV _MITSHM=0
+const baseTag = splitImageName(baseImageTag).tag
+try {
+  // throws on malformed tags like "node13.6.0-chrome-80-ff72"
+  parseTag(baseTag, 'browsers')
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
 
+// Node and browser versions come from the browsers image manifest
+// or from its tag if the browsers image is not in this repo
+const baseManifest = loadManifest(path.join('browsers', baseTag))
+const imagePlatforms = requestedPlatforms || baseManifest.platforms
+// the given browsers image is only checked, the caller might know better
+const poorFit = browsersImageProblems(versionTag, {tag: baseTag, manifest: baseManifest})
+if (!browsersImages.some((image) => image.tag === baseTag)) {
+  poorFit.push('the image is not in this repo, its versions come from its tag')
+}
+if (poorFit.length) {
+  console.warn('⚠️ the browsers image %s is a poor fit for Cypress %s', baseImageTag, versionTag)
+  poorFit.forEach((problem) => console.warn('  - %s', problem))
+  const picked = pickBrowsersImage(versionTag, browsersImages, imagePlatforms)
+  if (picked) {
+    console.warn('consider cypress/browsers:%s or omit the browsers image to pick it', picked.tag)
+  }
+}
+// only the Docker Node images have the user "node", the "mapped" user is created by the Dockerfile
+if (user === 'node' && !hasNodeUser(baseManifest.os)) {
+  console.error('the browsers image %s is built on %s that has no user "node"', baseImageTag, baseManifest.os)
+  console.error('use --user mapped to run as a non-root user')
+  process.exit(1)
+}
+const missingPlatforms = missingParentPlatforms(imagePlatforms, baseManifest.platforms)
+if (missingPlatforms.length) {
+  console.error('the browsers image %s is not built for %s', baseImageTag, missingPlatforms.join(', '))
+  process.exit(1)
+}
+const noCypressPlatforms = platformsWithoutCypress(imagePlatforms, versionTag)
+if (noCypressPlatforms.length) {
+  console.error('Cypress %s has no binary for %s', versionTag, noCypressPlatforms.join(', '))
+  process.exit(1)
+}
+const multiPlatform = isMultiPlatform(imagePlatforms)
+if (npmPackage && multiPlatform) {
+  console.error('the custom Cypress build has a single binary, build its image with --platforms linux/amd64')
+  process.exit(1)
+}
+
+const imageTag = formatTag({cypress: versionTag, suffix: user === 'root' ? null : user})
+const userOption = user === 'root' ? '' : ` --user ${user}`
+const platformsOption = args['--platforms'] ? ` --platforms ${imagePlatforms.join(',')}` : ''
+const customOptions = npmPackage ? ` --npm ${npmPackage} --binary ${binary}${args['--sha'] ? ` --sha ${sha}` : ''}` : ''
+const reproducibleOption = args['--reproducible'] ? ' --reproducible' : ''
+const generateCommand = `npm run add:included -- ${version} ${baseImageTag}${userOption}${platformsOption}` +
+  `${customOptions}${reproducibleOption}`
+// the multi-platform images are built using "docker buildx"
+const buildCommand = multiPlatform ?
+  `docker buildx build --platform ${imagePlatforms.join(',')} -t cypress/included:${imageTag} .` :
+  `docker build -t cypress/included:${imageTag} .`
+
+const outputFolder = path.join('included', imageTag)
+
+let lock = null
+if (args['--reproducible']) {
+  try {
+    const request = lockRequest({name: imageName('included'), from: baseImageTag, os: baseManifest.os})
+    // the previews show the missing lock as not resolved yet
+    const {dryRun, diff} = writeOptions(args)
+    lock = loadLock(outputFolder, request, {preview: dryRun || diff})
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+}
+const npmVersion = lock ? lock.npm : notPinned
+const yarnVersion = lock ? lock.yarn : notPinned
+
+const isUrl = (location) => /^https?:\/\//.test(location)
+// the local files of the custom build are copied into the image folder
+// since Docker cannot read the files outside of the build context
+const localFiles = npmPackage ? [
+  {from: npmPackage, name: 'cypress.tgz'},
+  {from: binary, name: 'cypress.zip'}
+].filter((file) => !isUrl(file.from)) : []
+localFiles.forEach((file) => {
+  if (!fs.existsSync(file.from)) {
+    console.error('cannot find file %s', file.from)
+    process.exit(1)
+  }
+})
+const localFile = (location, name) => isUrl(location) ? location : `/tmp/cypress/${name}`
+
+const copyLocalFiles = localFiles.length ? `
+# the custom Cypress build files copied by the generator
+COPY ${localFiles.map((file) => file.name).join(' ')} /tmp/cypress/
+` : ''
+
+// installs Cypress from NPM, or the custom build from its NPM tarball and binary zip
+// without leaving "CYPRESS_INSTALL_BINARY" in the image for the projects installing Cypress
+const installCypress = npmPackage ? `# install the custom Cypress build ${versionTag}
+RUN CYPRESS_INSTALL_BINARY=${localFile(binary, 'cypress.zip')} npm install -g "${localFile(npmPackage, 'cypress.tgz')}"` :
+  `RUN npm install -g "cypress@${versionTag}"`
+
+// non-root user modes => the user name and its home folder
+const nonRootUsers = {
+  // the user "node" comes from the very base Docker Node image
+  node: {name: 'node', home: '/home/node'},
+  // the user with the same ids as the host user, set using the build arguments
+  mapped: {name: 'appuser', home: '/home/appuser'}
+}
+
+const rootInstall = `
 # should be root user
 RUN echo "whoami: $(whoami)"
 RUN npm config -g set user $(whoami)
@@ -61,7 +228,7 @@ RUN id
 # point Cypress at the /root/cache no matter what user account is used
 # see https://on.cypress.io/caching
 ENV CYPRESS_CACHE_FOLDER=/root/.cache/Cypress
-RUN npm install -g "cypress@${versionTag}"
+${installCypress}
 RUN cypress verify
 
 # Cypress cache and installed version
@@ -76,10 +243,97 @@ RUN cypress version
 RUN ls -la /root
 RUN chmod 755 /root
 
-# always grab the latest NPM and Yarn
-# otherwise the base image might have old versions
-RUN npm i -g yarn@latest npm@latest
+${lock ? `# install the NPM and Yarn versions from ${lockFilename}` : `# always grab the latest NPM and Yarn
+# otherwise the base image might have old versions`}
+RUN npm i -g yarn@${yarnVersion} npm@${npmVersion}
+`
 
+const mappedUser = `
+# create the non-root user "appuser" with the same user and group ids as the host user
+# running the container, then the files Cypress creates in the mounted folder
+# are owned by the host user. Pass the host ids when building the image
+#   docker build --build-arg USER_ID=$(id -u) --build-arg GROUP_ID=$(id -g) .
+ARG USER_ID=1000
+ARG GROUP_ID=1000
+RUN groupadd -o -g \${GROUP_ID} appuser
+# do not log creating new user, otherwise there could be a lot of messages
+RUN useradd -o -r --no-log-init -u \${USER_ID} -g appuser appuser
+RUN install -d -m 0755 -o appuser -g appuser /home/appuser
+`
+
+const nonRootInstall = (userMode) => {
+  const {name, home} = nonRootUsers[userMode]
+  return `
+${lock ? `# install the NPM and Yarn versions from ${lockFilename} while still root user` : `# always grab the latest NPM and Yarn while still root user
+# otherwise the base image might have old versions`}
+RUN npm i -g yarn@${yarnVersion} npm@${npmVersion}
+${userMode === 'mapped' ? mappedUser : ''}
+# install Cypress as the non-root user "${name}", the global NPM modules
+# and the Cypress binary cache go into the user's home folder
+USER ${name}
+ENV HOME=${home}
+ENV NPM_CONFIG_PREFIX=${home}/.npm-global
+ENV PATH=${home}/.npm-global/bin:$PATH
+# see https://on.cypress.io/caching
+ENV CYPRESS_CACHE_FOLDER=${home}/.cache/Cypress
+
+# command "id" should print non-zero user and group ids
+# which means the current user is not root
+RUN id
+${installCypress}
+RUN cypress verify
+
+# Cypress cache and installed version
+# should be in the user's home folder
+RUN cypress cache path
+RUN cypress cache list
+RUN cypress info
+RUN cypress version
+`
+}
+
+const manifest = {
+  name: imageName('included'),
+  tag: imageTag,
+  from: baseImageTag,
+  os: baseManifest.os,
+  node: baseManifest.node,
+  nodeEol: nodeEndOfLife(baseManifest.node),
+  // NPM and Yarn are installed using "@latest" unless the image is reproducible,
+  // then the versions are known before the build
+  npm: lock ? lock.npm : null,
+  yarn: lock ? lock.yarn : null,
+  cypress: versionTag,
+  ...(npmPackage ? {cypressBuild: {npm: npmPackage, binary, sha}} : {}),
+  browsers: baseManifest.browsers,
+  user,
+  platforms: imagePlatforms,
+  // the pre-release images are never pushed to Docker Hub
+  status: prerelease ? 'draft' : 'building',
+  // CI checks the labels of the new images
+  test: {scenarios: {labels: true}}
+}
+
+const Dockerfile = `
+# WARNING: this file was autogenerated by ${path.basename(__filename)}
+# using
+#   ${generateCommand}
+#
+# build this image with command
+#   ${buildCommand}
+#
+FROM ${baseImageTag}
+
+# avoid too many progress messages
+# https://github.com/cypress-io/cypress/issues/1243
+ENV CI=1
+
+# disable shared memory X11 affecting Cypress v4 and Chrome
+# https://github.com/cypress-io/cypress-docker-images/issues/270
+ENV QT_X11_NO_MITSHM=1
+ENV _X11_NO_MITSHM=1
+ENV _MITSHM=0
+${copyLocalFiles}${user === 'root' ? rootInstall : nonRootInstall(user)}
 # should print Cypress version
 # plus Electron and bundled Node versions
 RUN cypress version
@@ -91,59 +345,108 @@ RUN echo  " node version:    $(node -v) \\n" \\
   "chrome:          $(google-chrome --version || true) \\n" \\
   "firefox:         $(firefox --version || true) \\n"
 
+${labelInstructions(imageLabels(manifest, generateCommand))}
+
 ENTRYPOINT ["cypress", "run"]
 `
-const dockerFilename = path.join(outputFolder, 'Dockerfile')
-fs.writeFileSync(dockerFilename, Dockerfile.trim() + '\n', 'utf8')
-console.log('Saved %s', dockerFilename)
+/** @type {import('./image-files').GeneratedFile[]} */
+const files = [{name: 'Dockerfile', content: Dockerfile.trim() + '\n'}]
+
+const userNotes = {
+  root: '',
+  node: `
+## User
+
+The image runs Cypress as the non-root user "node". The files Cypress creates
+in the mounted folder, like screenshots and videos, are owned by the user id 1000.
+`,
+  mapped: `
+## User
+
+The image runs Cypress as the non-root user "appuser". Build the image with the user
+and group ids of the host user, then the files Cypress creates in the mounted folder,
+like screenshots and videos, are owned by the host user.
+
+\`\`\`shell
+$ docker build --build-arg USER_ID=$(id -u) --build-arg GROUP_ID=$(id -g) -t cypress/included:${imageTag} .
+\`\`\`
+`
+}
 
 const README = `
 <!--
 WARNING: this file was autogenerated by ${path.basename(__filename)} using
 
-    npm run add:included -- ${versionTag} ${baseImageTag}
+    ${generateCommand}
 -->
 
-# cypress/included:${versionTag}
+# cypress/included:${imageTag}
 
 Read [Run Cypress with a single Docker command][blog post url]
 
 ## Run tests
 
 \`\`\`shell
-$ docker run -it -v $PWD:/e2e -w /e2e cypress/included:${versionTag}
+$ docker run -it -v $PWD:/e2e -w /e2e cypress/included:${imageTag}
 # runs Cypress tests from the current folder
 \`\`\`
-
+${multiPlatform ? `
+This is a multi-platform image for ${imagePlatforms.map((platform) => `\`${platform}\``).join(', ')},
+Docker pulls the image for your platform. See [cypress/browsers:${baseTag}](../../browsers/${baseTag})
+for the browsers each platform has.
+` : ''}${prerelease ? `
+This image has the pre-release Cypress ${versionTag} for testing it before the release.
+CI builds and tests it, but never pushes it to Docker Hub, build it locally with \`./build.sh\`.
+` : ''}${lock ? `
+The image installs the exact NPM and Yarn versions from [${lockFilename}](./${lockFilename}),
+refresh them on purpose with \`npm run lock -- ${outputFolder}\`.
+` : ''}${userNotes[user]}
 [blog post url]: https://www.cypress.io/blog/2019/05/02/run-cypress-with-a-single-docker-command/
 `
 
-const readmeFilename = path.join(outputFolder, 'README.md')
-fs.writeFileSync(readmeFilename, README.trim() + '\n', 'utf8')
-console.log('Saved %s', readmeFilename)
+files.push({name: 'README.md', content: README.trim() + '\n'})
 
 // to make building images simpler and to follow the same pattern as previous builds
 const buildScript = `
 # WARNING: this file was autogenerated by ${path.basename(__filename)}
 # using
-#   npm run add:included -- ${versionTag} ${baseImageTag}
+#   ${generateCommand}
 set e+x
 
-LOCAL_NAME=cypress/included:${versionTag}
+LOCAL_NAME=cypress/included:${imageTag}
 echo "Building $LOCAL_NAME"
-docker build -t $LOCAL_NAME .
+${multiPlatform ? `# builds the image for the current platform only, for all platforms use
+#   ${buildCommand}
+` : ''}docker build -t $LOCAL_NAME .
 `
 
-const buildFilename = path.join(outputFolder, 'build.sh')
-fs.writeFileSync(buildFilename, buildScript.trim() + '\n', 'utf8')
-shelljs.chmod('a+x', buildFilename)
-console.log('Saved %s', buildFilename)
+files.push({name: 'build.sh', content: buildScript.trim() + '\n', executable: true})
+if (lock) {
+  files.push({name: lockFilename, content: formatLock(lock), untracked: true})
+}
+
+try {
+  if (!writeImageFolder(outputFolder, files, manifest, writeOptions(args))) {
+    process.exit(0)
+  }
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+localFiles.forEach((file) => {
+  fs.copyFileSync(file.from, path.join(outputFolder, file.name))
+  console.log('Copied %s to %s', file.from, path.join(outputFolder, file.name))
+})
+if (localFiles.length) {
+  console.log('CI can only build this image if you commit the copied files, prefer the URLs of the custom build')
+}
 
 console.log(`
-Please add the newly generated folder ${outputFolder} to Git and update CircleCI file with
+Please add the newly generated folder ${outputFolder} to Git and update CircleCI file
+and the list of images in "included/README.md" with
 
     npm run build
+    npm run readme
 
-Build the Docker container locally to make sure it is correct and update "included/README.md" list
-of images with the new image information.
+Build the Docker container locally to make sure it is correct.
 `)
@@ -0,0 +1,344 @@
+// @ts-check
+// this script updates the list of images in "base/README.md", "browsers/README.md"
+// and "included/README.md" using the image folders, their manifests "image.json"
+// and Dockerfiles. Only the table between the markers is replaced.
+// The images with end-of-life Node or "deprecated" status are marked as deprecated.
+// The end-of-life is checked against the date recorded in the README next to the table,
+// thus the tables never change by themselves, move the date explicitly with
+//   npm run readme -- --eol-date today
+// The images with floating tags from "aliases.json" like "cypress/base:latest" list them in the notes.
+//   npm run readme
+// to check if the README files are up to date without changing them (used on CI)
+//   npm run check:readme
+const globby = require('globby')
+const fs = require('fs')
+const path = require('path')
+const semver = require('semver')
+const arg = require('arg')
+const {loadManifest} = require('./image-manifest')
+const {readDockerfile} = require('./dockerfile')
+const {nodeMajor, isNodeEol, formatDate} = require('./node-policy')
+const {loadAliases, aliasesOf} = require('./image-aliases')
+
+const tableStart = '<!-- IMAGES TABLE START: generated by "npm run readme", do not edit by hand -->'
+const tableEnd = '<!-- IMAGES TABLE END -->'
+const eolDateRegex = /^<!-- Node end-of-life as of (\d{4}-\d{2}-\d{2}) -->$/m
+
+// manifest operating system => text shown in the README table
+const osNames = {
+  debian: 'Debian',
+  jessie: 'Debian 8',
+  stretch: 'Debian 9',
+  buster: 'Debian 10',
+  bullseye: 'Debian 11',
+  centos7: 'CentOS 7',
+  manjaro: 'Manjaro'
+}
+
+const notAvailable = '🚫'
+
+/**
+ * @param {string|null} os
+ */
+const formatOs = (os) => {
+  if (!os) {
+    return ''
+  }
+  if (osNames[os]) {
+    return osNames[os]
+  }
+  const ubuntu = /^ubuntu(\d+)$/.exec(os)
+  if (ubuntu) {
+    return `Ubuntu ${ubuntu[1]}.04`
+  }
+  return os
+}
+
+/**
+ * Finds all image folders for the given image kind, like "base/12.18.3"
+ * and loads their manifests and Dockerfiles. Draft images are not listed,
+ * because they are never pushed to Docker Hub.
+ * @param {string} kind
+ */
+const findImages = (kind) => {
+  return globby.sync(`${kind}/*`, {onlyDirectories: true})
+    .map((folder) => {
+      return {
+        folder,
+        manifest: loadManifest(folder),
+        dockerfile: readDockerfile(folder)
+      }
+    })
+    .filter((image) => image.manifest.status !== 'draft')
+}
+
+/**
+ * Compares two versions that might be partial, like "10" or "10.13"
+ * @param {string|null} a
+ * @param {string|null} b
+ */
+const compareLooseVersions = (a, b) => {
+  const av = semver.coerce(a)
+  const bv = semver.coerce(b)
+  if (av && bv) {
+    return semver.compare(av, bv)
+  }
+  return av ? -1 : bv ? 1 : 0
+}
+
+// images built on a special operating system go after the Debian images
+const isSpecialOs = (image) => /^(centos|ubuntu|manjaro)/.test(image.manifest.os || '')
+
+const byNodeVersion = (a, b) => {
+  return Number(isSpecialOs(a)) - Number(isSpecialOs(b)) ||
+    compareLooseVersions(a.manifest.node, b.manifest.node) ||
+    a.manifest.tag.localeCompare(b.manifest.tag)
+}
+
+// the images running as non-root user, like "6.4.0-node", go after the root image "6.4.0"
+const byCypressVersion = (a, b) =>
+  semver.compare(a.manifest.cypress, b.manifest.cypress) || a.manifest.tag.localeCompare(b.manifest.tag)
+
+const code = (s) => s ? `\`${s}\`` : notAvailable
+
+/**
+ * @param {{manifest: import('./image-manifest').ImageManifest}} image
+ * @param {Date} today
+ */
+const isDeprecated = (image, today) => image.manifest.status === 'deprecated' || isNodeEol(image.manifest.nodeEol, today)
+
+/**
+ * Returns the note for the deprecated image pointing to its replacement, the last image
+ * that is not deprecated, preferring the same operating system and user.
+ * Returns an empty string for the other images
+ * @param {{folder: string, manifest: import('./image-manifest').ImageManifest}} image
+ * @param {{folder: string, manifest: import('./image-manifest').ImageManifest}[]} images Sorted by Node
+ *  or Cypress version
+ * @param {Date} today
+ */
+const deprecationNote = (image, images, today) => {
+  if (!isDeprecated(image, today)) {
+    return ''
+  }
+  const {manifest} = image
+  const reason = isNodeEol(manifest.nodeEol, today) ?
+    `⚠️ deprecated: Node ${nodeMajor(manifest.node)} end-of-life ${manifest.nodeEol}` : '⚠️ deprecated'
+  const supported = images.filter((candidate) => !isDeprecated(candidate, today))
+  const similar = supported.filter((candidate) =>
+    candidate.manifest.os === manifest.os && candidate.manifest.user === manifest.user)
+  const replacement = (similar.length ? similar : supported).slice(-1)[0]
+  if (!replacement) {
+    return reason
+  }
+  const link = path.basename(replacement.folder)
+  return `${reason}, use [${replacement.manifest.name}:${replacement.manifest.tag}](${link})`
+}
+
+/**
+ * Returns the note listing the floating tags pointing to the image like "also tagged `14`, `latest`",
+ * or an empty string if the image has no aliases
+ * @param {{manifest: import('./image-manifest').ImageManifest}} image
+ * @param {import('./image-aliases').ImageAlias[]} aliases
+ */
+const aliasNote = (image, aliases) => {
+  const tags = aliasesOf(aliases, image.manifest.name.split('/')[1], image.manifest.tag)
+  return tags.length ? `also tagged ${tags.map(code).join(', ')}` : ''
+}
+
+/**
+ * @param {Date} today
+ * @param {import('./image-aliases').ImageAlias[]} aliases
+ */
+const baseTable = (today, aliases) => {
+  const header = [
+    'Name + Tag | Node | Operating System | Link | NPM version | Yarn version | Notes',
+    '--- | --- | --- | --- | --- | --- | ---'
+  ]
+  const images = findImages('base').sort(byNodeVersion)
+  const rows = images.map((image) => {
+    const {folder, manifest, dockerfile} = image
+    const link = path.basename(folder)
+    const columns = [
+      `${manifest.name}:${manifest.tag}`,
+      manifest.node || '',
+      formatOs(manifest.os),
+      `[/${link}](${link})`,
+      manifest.npm || '',
+      manifest.yarn || ''
+    ]
+    const notes = [
+      dockerfile && dockerfile.chineseFonts ? '[1](#note1)' : '',
+      aliasNote(image, aliases),
+      deprecationNote(image, images, today)
+    ].filter(Boolean)
+    if (notes.length) {
+      columns.push(notes.join(' '))
+    }
+    return columns.join(' | ')
+  })
+  return header.concat(rows)
+}
+
+/**
+ * @param {Date} today
+ * @param {import('./image-aliases').ImageAlias[]} aliases
+ */
+const browsersTable = (today, aliases) => {
+  const header = [
+    'Name + Tag | Base image | Chrome | Firefox | Edge | Notes',
+    '--- | --- | --- | --- | --- | ---'
+  ]
+  const images = findImages('browsers').sort(byNodeVersion)
+  const rows = images.map((image) => {
+    const {folder, manifest, dockerfile} = image
+    // the versions pinned in the Dockerfile are the most precise ones
+    const pinned = dockerfile || {from: null, chromeVersion: null, firefoxVersion: null, edgeVersion: null, edgeChannel: null}
+    const edgeVersion = pinned.edgeVersion || manifest.browsers.edge
+    const edgeChannel = pinned.edgeChannel || manifest.edgeChannel
+    return [
+      `[${manifest.name}:${manifest.tag}](./${path.basename(folder)})`,
+      code(pinned.from || manifest.from),
+      code(pinned.chromeVersion || manifest.browsers.chrome),
+      code(pinned.firefoxVersion || manifest.browsers.firefox),
+      code(edgeVersion && edgeChannel ? `${edgeVersion} ${edgeChannel}` : edgeVersion),
+      [aliasNote(image, aliases), deprecationNote(image, images, today)].filter(Boolean).join(' ')
+    ].join(' | ')
+  })
+  return header.concat(rows)
+}
+
+/**
+ * @param {Date} today
+ * @param {import('./image-aliases').ImageAlias[]} aliases
+ */
+const includedTable = (today, aliases) => {
+  const header = [
+    'Name + Tag | Base image | Notes',
+    '--- | --- | ---'
+  ]
+  const images = findImages('included').sort(byCypressVersion)
+  const rows = images.map((image) => {
+    const {folder, manifest, dockerfile} = image
+    const columns = [
+      `[${manifest.name}:${manifest.tag}](${path.basename(folder)})`,
+      code((dockerfile && dockerfile.from) || manifest.from)
+    ]
+    const notes = [aliasNote(image, aliases), deprecationNote(image, images, today)].filter(Boolean)
+    if (notes.length) {
+      columns.push(notes.join(' '))
+    }
+    return columns.join(' | ')
+  })
+  return header.concat(rows)
+}
+
+const tables = {
+  base: baseTable,
+  browsers: browsersTable,
+  included: includedTable
+}
+
+/**
+ * Returns the date the Node end-of-life was checked against, recorded in the README text,
+ * or null if the text does not record it
+ * @param {string} text
+ * @returns {Date|null}
+ */
+const readEolDate = (text) => {
+  const matches = eolDateRegex.exec(text)
+  return matches ? new Date(matches[1]) : null
+}
+
+/**
+ * Forms the comment line recording the date the Node end-of-life was checked against
+ * @param {Date} today
+ */
+const formatEolDate = (today) => `<!-- Node end-of-life as of ${formatDate(today)} -->`
+
+/**
+ * Replaces the table between the markers in the README text
+ * @param {string} text The current README text
+ * @param {string[]} lines The new table lines
+ * @param {string} filename For the error message
+ */
+const replaceTable = (text, lines, filename) => {
+  const start = text.indexOf(tableStart)
+  const end = text.indexOf(tableEnd)
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`Cannot find the images table markers in ${filename}`)
+  }
+  return text.slice(0, start) +
+    [tableStart].concat(lines, tableEnd).join('\n') +
+    text.slice(end + tableEnd.length)
+}
+
+/**
+ * Forms the updated README text for the given image kind
+ * @param {string} kind "base", "browsers" or "included"
+ * @param {Date} [today] The day to check the Node end-of-life against,
+ *  the date recorded in the README by default, or the current date if the README does not record it
+ * @param {import('./image-aliases').ImageAlias[]} [aliases] The floating tags, "aliases.json" by default
+ * @returns {{filename: string, current: string, updated: string}}
+ */
+const updateReadme = (kind, today, aliases = loadAliases()) => {
+  const filename = path.join(kind, 'README.md')
+  const current = fs.readFileSync(filename, 'utf8')
+  const eolDate = today || readEolDate(current) || new Date()
+  const lines = [formatEolDate(eolDate)].concat(tables[kind](eolDate, aliases))
+  const updated = replaceTable(current, lines, filename)
+  return {filename, current, updated}
+}
+
+const main = () => {
+  const args = arg({
+    '--check': Boolean,
+    '--eol-date': String
+  })
+
+  const eolDate = args['--eol-date']
+  if (eolDate && eolDate !== 'today' && !/^\d{4}-\d{2}-\d{2}$/.test(eolDate)) {
+    console.error('expected --eol-date to be "today" or a date like "2021-03-15"')
+    process.exit(1)
+  }
+  if (eolDate && args['--check']) {
+    console.error('--check uses the date recorded in the README files, it cannot be used with --eol-date')
+    process.exit(1)
+  }
+  const today = eolDate === 'today' ? new Date() : eolDate ? new Date(eolDate) : undefined
+  const readmes = Object.keys(tables).map((kind) => updateReadme(kind, today))
+  if (args['--check']) {
+    const stale = readmes.filter((readme) => readme.current !== readme.updated)
+    if (stale.length) {
+      console.error('these README files have outdated images tables:')
+      stale.forEach((readme) => console.error('  %s', readme.filename))
+      console.error('please update them with "npm run readme" and commit the changes')
+      process.exit(1)
+    }
+    console.log('README images tables are up to date')
+    return
+  }
+
+  readmes.forEach((readme) => {
+    if (readme.current === readme.updated) {
+      console.log('%s is up to date', readme.filename)
+      return
+    }
+    fs.writeFileSync(readme.filename, readme.updated, 'utf8')
+    console.log('Saved %s', readme.filename)
+  })
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  tableStart,
+  tableEnd,
+  formatOs,
+  readEolDate,
+  deprecationNote,
+  aliasNote,
+  replaceTable,
+  updateReadme
+}
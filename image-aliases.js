@@ -0,0 +1,138 @@
+// @ts-check
+// the floating tags like "cypress/base:14" or "cypress/included:latest" are aliases
+// of the concrete images, listed by image kind in "aliases.json"
+//   {"base": {"latest": {"image": "14.15.4", "pushed": "14.15.4"}}}
+// "image" is the tag the alias should point to, "pushed" is the tag the alias pointed to
+// when it was last pushed to Docker Hub. CI retags and pushes the aliases whose image
+// has changed, then "npm run alias -- base:latest --pushed" records the pushed image.
+// The aliases move between images, thus CI pushes them even if Docker Hub has the tag already
+const path = require('path')
+const fs = require('fs')
+const {shouldBuild, shouldPush} = require('./image-status')
+const {isPrerelease} = require('./image-manifest')
+
+const aliasesFilename = path.join(__dirname, 'aliases.json')
+
+const imageKinds = ['base', 'browsers', 'included']
+
+/**
+ * @typedef {object} ImageAlias
+ * @property {string} kind Image kind like "base"
+ * @property {string} alias The floating tag like "latest"
+ * @property {string} image The tag of the image the alias points to like "14.15.4"
+ * @property {string|null} pushed The tag the alias pointed to when last pushed, null if never pushed
+ */
+
+/**
+ * Loads the aliases from "aliases.json" or the given file
+ * @param {string} [filename]
+ * @returns {ImageAlias[]}
+ */
+const loadAliases = (filename = aliasesFilename) => {
+  if (!fs.existsSync(filename)) {
+    return []
+  }
+  const json = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  return Object.keys(json).reduce((list, kind) => {
+    return list.concat(Object.keys(json[kind]).map((alias) => ({
+      kind,
+      alias,
+      image: json[kind][alias].image,
+      pushed: json[kind][alias].pushed || null
+    })))
+  }, [])
+}
+
+/**
+ * Saves the aliases to "aliases.json" or the given file, grouped by image kind
+ * @param {ImageAlias[]} aliases
+ * @param {string} [filename]
+ */
+const saveAliases = (aliases, filename = aliasesFilename) => {
+  const json = {}
+  aliases.forEach(({kind, alias, image, pushed}) => {
+    json[kind] = json[kind] || {}
+    json[kind][alias] = {image, pushed}
+  })
+  fs.writeFileSync(filename, JSON.stringify(json, null, 2) + '\n', 'utf8')
+  return filename
+}
+
+/**
+ * Parses the alias name like "base:latest" or "cypress/base:latest".
+ * Throws an error for unknown image kinds.
+ * @param {string} name
+ * @returns {{kind: string, alias: string}}
+ */
+const parseAliasName = (name) => {
+  const matches = /^(?:cypress\/)?([^:/]+):([\w][\w.-]*)$/.exec(name)
+  if (!matches || !imageKinds.includes(matches[1])) {
+    throw new Error(`Invalid alias "${name}", expected image kind and tag like "base:latest"`)
+  }
+  return {kind: matches[1], alias: matches[2]}
+}
+
+/**
+ * @param {ImageAlias} alias
+ */
+const aliasName = (alias) => `cypress/${alias.kind}:${alias.alias}`
+
+/**
+ * Returns the problems with the aliases: the alias should not be a folder tag,
+ * and the image it points to should have a folder and be pushed to Docker Hub,
+ * thus not a draft and not a pre-release Cypress image
+ * @param {ImageAlias[]} aliases
+ * @param {{name: string, tag: string, manifest: import('./image-manifest').ImageManifest}[]} images
+ * @returns {string[]}
+ */
+const aliasProblems = (aliases, images) => {
+  const problems = []
+  const findImage = (kind, tag) => images.find((image) => image.name === kind && image.tag === tag)
+  aliases.forEach((alias) => {
+    const name = aliasName(alias)
+    if (!imageKinds.includes(alias.kind)) {
+      problems.push(`Alias ${name} has unknown image kind, expected one of ${imageKinds.join(', ')}`)
+      return
+    }
+    if (findImage(alias.kind, alias.alias)) {
+      problems.push(`Alias ${name} is also the tag of image folder ${alias.kind}/${alias.alias}`)
+      return
+    }
+    const target = findImage(alias.kind, alias.image)
+    if (!target) {
+      problems.push(`Alias ${name} points to ${alias.kind}/${alias.image}, but there is no such image folder`)
+    } else if (shouldBuild(target.manifest.status) && !shouldPush(target.manifest.status)) {
+      problems.push(`Alias ${name} points to draft image ${alias.kind}/${alias.image} that is never pushed`)
+    } else if (isPrerelease(target.manifest)) {
+      problems.push(`Alias ${name} points to pre-release Cypress image ${alias.kind}/${alias.image} that is never pushed`)
+    }
+  })
+  return problems
+}
+
+/**
+ * Returns the aliases CI should push, because they point to another image now
+ * @param {ImageAlias[]} aliases
+ */
+const changedAliases = (aliases) => aliases.filter((alias) => alias.image !== alias.pushed)
+
+/**
+ * Returns the aliases of the given image, like ["14", "latest"] for "base/14.15.4"
+ * @param {ImageAlias[]} aliases
+ * @param {string} kind
+ * @param {string} tag
+ */
+const aliasesOf = (aliases, kind, tag) => aliases
+  .filter((alias) => alias.kind === kind && alias.image === tag)
+  .map((alias) => alias.alias)
+
+module.exports = {
+  aliasesFilename,
+  loadAliases,
+  saveAliases,
+  parseAliasName,
+  aliasName,
+  aliasProblems,
+  changedAliases,
+  aliasesOf
+}
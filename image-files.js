@@ -0,0 +1,181 @@
+// @ts-check
+// writes the files the generators form for an image folder. An existing folder
+// is never removed: overwriting it requires "--force", "--dry-run" only lists
+// the files that would be written and "--diff" prints how the files on disk would change.
+// The manifest keeps the hash of every generated file, thus the files edited by hand
+// after they were generated can be flagged before they are overwritten.
+// Overwriting a folder keeps the status and the test settings of its manifest.
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const {createTwoFilesPatch} = require('diff')
+const {manifestFilename, readManifest, loadManifest, formatManifest} = require('./image-manifest')
+const {isPublished} = require('./image-status')
+
+/**
+ * @typedef {object} GeneratedFile
+ * @property {string} name File name inside the image folder like "Dockerfile"
+ * @property {string} content
+ * @property {boolean} [executable] Like "build.sh"
+ * @property {boolean} [untracked] The file changes on purpose after it was generated,
+ *  like the image lock, thus its hash is not kept in the manifest
+ */
+
+/**
+ * @typedef {object} WriteOptions
+ * @property {boolean} [dryRun] Only print the files that would be written
+ * @property {boolean} [diff] Only print the unified diff against the files on disk
+ * @property {boolean} [force] Overwrite the existing image folder
+ */
+
+// command line flags shared by the generators, pass them to "arg"
+const writeFlags = {
+  '--dry-run': Boolean,
+  '--diff': Boolean,
+  '--force': Boolean
+}
+
+/**
+ * Forms the write options from the parsed command line arguments
+ * @param {{[flag: string]: any}} args
+ * @returns {WriteOptions}
+ */
+const writeOptions = (args) => ({
+  dryRun: Boolean(args['--dry-run']),
+  diff: Boolean(args['--diff']),
+  force: Boolean(args['--force'])
+})
+
+/**
+ * @param {string} content
+ */
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex')
+
+/**
+ * Returns the current file text, or null if there is no such file
+ * @param {string} filename
+ */
+const readCurrent = (filename) => fs.existsSync(filename) ? fs.readFileSync(filename, 'utf8') : null
+
+/**
+ * Returns the names of the files in the image folder that do not match
+ * the hashes saved in its manifest, meaning they were edited by hand.
+ * Folders generated before the manifest had the hashes are never flagged.
+ * @param {string} folder Image folder like "browsers/node12.18.3-chrome87-ff82"
+ */
+const findEditedFiles = (folder) => {
+  const manifest = readManifest(folder)
+  const hashes = (manifest && manifest.files) || {}
+  return Object.keys(hashes).filter((name) => {
+    const current = readCurrent(path.join(folder, name))
+    return current !== null && hashContent(current) !== hashes[name]
+  })
+}
+
+/**
+ * Forms the manifest to write over the existing one: the generated properties win,
+ * except the image status and the test settings set after the folder was generated.
+ * The scenarios set in the existing manifest win over the generated ones.
+ * @param {import('./image-manifest').ImageManifest|null} current The manifest on disk
+ * @param {import('./image-manifest').ImageManifest} generated
+ * @returns {import('./image-manifest').ImageManifest}
+ */
+const mergeManifest = (current, generated) => {
+  if (!current) {
+    return generated
+  }
+  const currentTest = current.test || {}
+  const generatedTest = generated.test || {}
+  const test = {...generatedTest, ...currentTest}
+  if (generatedTest.scenarios || currentTest.scenarios) {
+    test.scenarios = {...generatedTest.scenarios, ...currentTest.scenarios}
+  }
+  return {...current, ...generated, status: current.status || generated.status, test}
+}
+
+/**
+ * Writes the generated files and the manifest with their hashes into the image folder,
+ * the manifest is merged over the existing one, see "mergeManifest".
+ * Throws an error if the folder exists and cannot or should not be overwritten.
+ * @param {string} folder Image folder like "base/12.18.3"
+ * @param {GeneratedFile[]} generated
+ * @param {import('./image-manifest').ImageManifest} manifest
+ * @param {WriteOptions} options
+ * @returns {boolean} True if the files were written
+ */
+const writeImageFolder = (folder, generated, manifest, options) => {
+  const exists = fs.existsSync(folder)
+  /** @type {{[filename: string]: string}} */
+  const hashes = {}
+  generated.filter((file) => !file.untracked).forEach((file) => {
+    hashes[file.name] = hashContent(file.content)
+  })
+  const all = generated.concat({
+    name: manifestFilename,
+    content: formatManifest({...mergeManifest(exists ? readManifest(folder) : null, manifest), files: hashes})
+  })
+
+  const edited = exists ? findEditedFiles(folder) : []
+  edited.forEach((name) => {
+    console.warn('⚠️  %s was edited by hand after it was generated', path.join(folder, name))
+  })
+
+  if (options.dryRun) {
+    all.forEach((file) => {
+      const current = readCurrent(path.join(folder, file.name))
+      const change = current === null ? 'new' : current === file.content ? 'unchanged' : 'changed'
+      console.log('would write %s (%s)', path.join(folder, file.name), change)
+    })
+    return false
+  }
+
+  if (options.diff) {
+    all.forEach((file) => {
+      const filename = path.join(folder, file.name)
+      const current = readCurrent(filename)
+      if (current === file.content) {
+        return
+      }
+      const from = current === null ? '/dev/null' : `a/${filename}`
+      const patch = createTwoFilesPatch(from, `b/${filename}`, current || '', file.content)
+      // skip the "=====" line, the rest is the usual "git diff" output
+      process.stdout.write(patch.replace(/^=+\n/, ''))
+    })
+    return false
+  }
+
+  if (exists) {
+    // never overwrite an image that has been pushed to Docker Hub already
+    const {status} = loadManifest(folder)
+    if (isPublished(status)) {
+      throw new Error(`image folder "${folder}" has status "${status}" and cannot be generated again`)
+    }
+    if (!options.force) {
+      throw new Error(`image folder "${folder}" exists already, pass --force to overwrite it ` +
+        'or --diff to see what would change')
+    }
+    console.log('overwriting existing folder "%s"', folder)
+  } else {
+    console.log('creating "%s"', folder)
+    fs.mkdirSync(folder, {recursive: true})
+  }
+
+  all.forEach((file) => {
+    const filename = path.join(folder, file.name)
+    fs.writeFileSync(filename, file.content, 'utf8')
+    if (file.executable) {
+      fs.chmodSync(filename, 0o755)
+    }
+    console.log('Saved %s', filename)
+  })
+  return true
+}
+
+module.exports = {
+  writeFlags,
+  writeOptions,
+  hashContent,
+  findEditedFiles,
+  mergeManifest,
+  writeImageFolder
+}
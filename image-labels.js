@@ -0,0 +1,78 @@
+// @ts-check
+// the labels the generators put into every Dockerfile, thus "docker inspect" tells
+// what is inside the image without running it. The standard "org.opencontainers.image.*"
+// labels describe the image and its source, the "io.cypress.*" labels list the versions
+// of the tools and the command that generated the Dockerfile.
+// The commit and its date are only known when building the image, CI passes them
+// as the build arguments, see "labelBuildArgs". Using the commit date instead of
+// the current date keeps the rebuilt images the same.
+// CI checks the labels against the tools inside the image, see "check-image-versions.js"
+
+const sourceUrl = 'https://github.com/cypress-io/cypress-docker-images'
+
+// the version NPM and Yarn are installed with unless the image is reproducible,
+// their exact versions are known after the build only, thus the image has no labels for them
+const notPinned = 'latest'
+
+/**
+ * The build arguments with the commit and its date, for "docker build" and "docker buildx build"
+ */
+const labelBuildArgs = '--build-arg REVISION=$(git rev-parse HEAD) --build-arg CREATED=$(git log -1 --format=%cI)'
+
+/**
+ * Forms the image labels from the image manifest, the labels without a value are left out
+ * @param {import('./image-manifest').ImageManifest} manifest
+ * @param {string} generateCommand Like "npm run add:base -- 14.16.0"
+ * @returns {{[label: string]: string}}
+ */
+const imageLabels = (manifest, generateCommand) => {
+  const kind = manifest.name.split('/')[1]
+  const labels = {
+    'org.opencontainers.image.title': manifest.name,
+    'org.opencontainers.image.version': manifest.tag,
+    'org.opencontainers.image.source': sourceUrl,
+    'org.opencontainers.image.url': `${sourceUrl}/tree/master/${kind}/${manifest.tag}`,
+    'org.opencontainers.image.revision': '${REVISION}',
+    'org.opencontainers.image.created': '${CREATED}',
+    'io.cypress.node': manifest.node,
+    'io.cypress.npm': manifest.npm,
+    'io.cypress.yarn': manifest.yarn,
+    'io.cypress.cypress': manifest.cypress
+  }
+  Object.keys(manifest.browsers).forEach((browser) => {
+    labels[`io.cypress.${browser}`] = manifest.browsers[browser]
+  })
+  labels['io.cypress.generator.command'] = generateCommand
+  Object.keys(labels).forEach((label) => {
+    if (!labels[label]) {
+      delete labels[label]
+    }
+  })
+  return labels
+}
+
+// the label values are in double quotes, only the build arguments are expanded
+const quoteLabel = (value) => `"${value.replace(/["\\]/g, '\\$&').replace(/\$(?!\{(REVISION|CREATED)\})/g, '\\$')}"`
+
+/**
+ * Forms the Dockerfile lines with the build arguments and the LABEL instruction.
+ * They go to the end of the Dockerfile, the changed build arguments only rebuild this layer
+ * @param {{[label: string]: string}} labels
+ */
+const labelInstructions = (labels) => {
+  const lines = Object.keys(labels).map((label) => `${label}=${quoteLabel(labels[label])}`)
+  const image = `${labels['org.opencontainers.image.title']}:${labels['org.opencontainers.image.version']}`
+  return `# image labels, see "docker inspect ${image}"
+# CI passes the commit and its date as the build arguments
+ARG REVISION=unknown
+ARG CREATED=unknown
+LABEL ${lines.join(' \\\n  ')}`
+}
+
+module.exports = {
+  sourceUrl,
+  notPinned,
+  labelBuildArgs,
+  imageLabels,
+  labelInstructions
+}
@@ -0,0 +1,254 @@
+// @ts-check
+// the image lock keeps the exact versions a reproducible image installs. The generators
+// install "npm@latest", "yarn@latest" and the newest OS packages, thus building the same
+// folder months later gives a different image. With "--reproducible" the generator reads
+// the lock "image.lock.json" from the image folder, or resolves and writes it if there is none,
+// then pins the FROM image by its digest, NPM, Yarn and the OS packages to the locked versions
+//   npm run add:base -- 14.16.0 --reproducible
+// the lock changes only when refreshed on purpose, see "refresh-lock.js"
+//   npm run lock -- base/14.16.0
+// Resolving the lock needs Docker and the network: it pulls the FROM image
+// and asks its package manager for the package versions. The "--dry-run" and "--diff"
+// previews do not resolve the lock, they show the versions as "<to be resolved>".
+const path = require('path')
+const fs = require('fs')
+const {execSync} = require('child_process')
+const {operatingSystems, packageManagers, packageNames} = require('./os-packages')
+const {fontProfiles, defaultFontProfile} = require('./font-profiles')
+const {imageName} = require('./image-manifest')
+const {splitImageName} = require('./image-tag')
+
+const lockFilename = 'image.lock.json'
+
+// the version shown by the previews for the lock that is not resolved yet
+const toBeResolved = '<to be resolved>'
+
+/**
+ * @typedef {object} ImageLock
+ * @property {string|null} from The FROM image like "node:14.16.0-buster", null if it is not pinned
+ * @property {string|null} digest The digest of the FROM image like "sha256:4f9b...", null if it is not pinned
+ * @property {string} npm NPM version like "7.6.3"
+ * @property {string} yarn Yarn version like "1.22.10"
+ * @property {{[name: string]: string}} packages The OS package versions like {"xvfb": "2:1.20.4-1+deb10u2"}
+ */
+
+/**
+ * What to resolve for the image lock
+ * @typedef {object} LockRequest
+ * @property {string|null} from The FROM image to pin by digest
+ * @property {string|null} packageManager Key in "packageManagers"
+ * @property {string[]} packages The OS packages to pin
+ */
+
+/**
+ * Runs the command and returns its output, or null if the command fails
+ * @param {string} command
+ */
+const run = (command) => {
+  try {
+    return execSync(command, {encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore']})
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Forms the lock request from the image manifest: the base images pin their FROM image
+ * and the OS packages, the included images pin NPM and Yarn only
+ * @param {import('./image-manifest').ImageManifest} manifest
+ * @returns {LockRequest}
+ */
+const lockRequest = (manifest) => {
+  if (manifest.name !== imageName('base') || !manifest.from || !manifest.os) {
+    return {from: null, packageManager: null, packages: []}
+  }
+  const {name, tag} = splitImageName(manifest.from)
+  const profile = fontProfiles[manifest.fonts || defaultFontProfile]
+  return {
+    from: `${name}:${tag}`,
+    packageManager: operatingSystems[manifest.os].packageManager,
+    packages: packageNames(manifest.os, profile.fonts)
+  }
+}
+
+/**
+ * Forms the FROM image pinned by its digest like "node:14.16.0-buster@sha256:4f9b...",
+ * the tag stays for the people reading the Dockerfile
+ * @param {ImageLock} lock
+ */
+const pinnedFrom = (lock) => `${lock.from}@${lock.digest}`
+
+/**
+ * Resolves the exact versions for the lock, throws an error if any cannot be found
+ * @param {LockRequest} request
+ * @param {(command: string) => string|null} [runCommand]
+ * @returns {ImageLock}
+ */
+const resolveLock = (request, runCommand = run) => {
+  const runOrThrow = (command) => {
+    const output = runCommand(command)
+    if (output === null) {
+      throw new Error(`Cannot resolve the image lock, command failed: ${command}`)
+    }
+    return output.trim()
+  }
+
+  /** @type {ImageLock} */
+  const lock = {
+    from: null,
+    digest: null,
+    npm: runOrThrow('npm view npm version'),
+    yarn: runOrThrow('npm view yarn version'),
+    packages: {}
+  }
+  if (!request.from) {
+    return lock
+  }
+
+  runOrThrow(`docker pull ${request.from}`)
+  // like "node@sha256:4f9b..."
+  const repoDigest = runOrThrow(`docker inspect --format '{{index .RepoDigests 0}}' ${request.from}`)
+  const digest = repoDigest.split('@')[1]
+  if (!digest || !/^sha256:[0-9a-f]{64}$/.test(digest)) {
+    throw new Error(`Cannot find the digest of image ${request.from} in "${repoDigest}"`)
+  }
+  lock.from = request.from
+  lock.digest = digest
+
+  if (request.packages.length && request.packageManager) {
+    const packageManager = packageManagers[request.packageManager]
+    const command = packageManager.versionsCommand(request.packages)
+    const output = runOrThrow(`docker run --rm ${pinnedFrom(lock)} sh -c "${command}"`)
+    const versions = packageManager.parseVersions(output)
+    const missing = request.packages.filter((name) => !versions[name])
+    if (missing.length) {
+      throw new Error(`Cannot find the versions of packages ${missing.join(', ')} in image ${request.from}`)
+    }
+    // sorted by the package name, thus the lock changes only when the versions do
+    request.packages.slice().sort().forEach((name) => {
+      lock.packages[name] = versions[name]
+    })
+  }
+  return lock
+}
+
+/**
+ * Forms the lock for the previews without resolving anything, every version is "<to be resolved>"
+ * @param {LockRequest} request
+ * @returns {ImageLock}
+ */
+const unresolvedLock = (request) => {
+  const packages = {}
+  request.packages.slice().sort().forEach((name) => {
+    packages[name] = toBeResolved
+  })
+  return {
+    from: request.from,
+    digest: request.from ? toBeResolved : null,
+    npm: toBeResolved,
+    yarn: toBeResolved,
+    packages
+  }
+}
+
+/**
+ * Returns the changes between two locks like "npm 7.6.3 -> 7.7.0", empty if the locks are the same
+ * @param {ImageLock|null} before
+ * @param {ImageLock} after
+ * @returns {string[]}
+ */
+const lockChanges = (before, after) => {
+  const previous = before || {from: null, digest: null, npm: null, yarn: null, packages: {}}
+  const changes = []
+  const compare = (what, from, to) => {
+    if (from !== to) {
+      changes.push(`${what} ${from || 'none'} -> ${to || 'none'}`)
+    }
+  }
+  compare('FROM', previous.digest ? pinnedFrom(previous) : null, after.digest ? pinnedFrom(after) : null)
+  compare('npm', previous.npm, after.npm)
+  compare('yarn', previous.yarn, after.yarn)
+  const names = Object.keys({...previous.packages, ...after.packages}).sort()
+  names.forEach((name) => compare(name, previous.packages[name], after.packages[name]))
+  return changes
+}
+
+/**
+ * Returns the reasons the lock cannot pin the requested image, like the packages
+ * of another font profile, empty if the lock fits
+ * @param {ImageLock} lock
+ * @param {LockRequest} request
+ * @returns {string[]}
+ */
+const lockProblems = (lock, request) => {
+  const problems = []
+  if (request.from && (lock.from !== request.from || !lock.digest)) {
+    problems.push(`the lock pins FROM ${lock.from || 'nothing'}, but the image is FROM ${request.from}`)
+  }
+  const missing = request.packages.filter((name) => !lock.packages[name])
+  if (missing.length) {
+    problems.push(`the lock has no versions of packages ${missing.join(', ')}`)
+  }
+  return problems
+}
+
+/**
+ * Reads the lock from the image folder, returns null if there is no lock
+ * @param {string} folder Image folder like "base/14.16.0"
+ * @returns {ImageLock|null}
+ */
+const readLock = (folder) => {
+  const filename = path.join(folder, lockFilename)
+  if (!fs.existsSync(filename)) {
+    return null
+  }
+  return JSON.parse(fs.readFileSync(filename, 'utf8'))
+}
+
+/**
+ * Returns the lock of the image folder for the generators: the lock in the folder,
+ * or the freshly resolved one if the folder has no lock yet.
+ * The preview does not resolve the missing lock, it gets the unresolved lock instead.
+ * Throws an error if the lock in the folder does not fit the image.
+ * @param {string} folder Image folder like "base/14.16.0"
+ * @param {LockRequest} request
+ * @param {{preview?: boolean, runCommand?: (command: string) => string|null}} [options]
+ * @returns {ImageLock}
+ */
+const loadLock = (folder, request, {preview = false, runCommand = run} = {}) => {
+  const existing = readLock(folder)
+  if (!existing && preview) {
+    console.log('%s will be resolved when the folder is written', path.join(folder, lockFilename))
+    return unresolvedLock(request)
+  }
+  if (!existing) {
+    console.log('resolving the exact versions for %s', path.join(folder, lockFilename))
+    return resolveLock(request, runCommand)
+  }
+  const problems = lockProblems(existing, request)
+  if (problems.length) {
+    const filename = path.join(folder, lockFilename)
+    throw new Error(`The lock ${filename} does not fit the image: ${problems.join(', ')}. ` +
+      `Remove ${filename} to resolve the exact versions again`)
+  }
+  return existing
+}
+
+/**
+ * @param {ImageLock} lock
+ */
+const formatLock = (lock) => JSON.stringify(lock, null, 2) + '\n'
+
+module.exports = {
+  lockFilename,
+  toBeResolved,
+  lockRequest,
+  pinnedFrom,
+  resolveLock,
+  unresolvedLock,
+  lockChanges,
+  lockProblems,
+  readLock,
+  loadLock,
+  formatLock
+}
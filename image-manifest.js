@@ -0,0 +1,169 @@
+// @ts-check
+// every image folder like "base/12.18.3" can have a small "image.json" manifest
+// written by the generators. The manifest is the single source of truth
+// for the image information. Folders without a manifest fall back to
+// the information we can parse from the folder name.
+const path = require('path')
+const fs = require('fs')
+const semver = require('semver')
+const {parseTag} = require('./image-tag')
+const {checkStatus} = require('./image-status')
+const {defaultPlatforms} = require('./platforms')
+const {nodeEndOfLife} = require('./node-policy')
+
+const manifestFilename = 'image.json'
+
+/**
+ * @typedef {object} ImageTestFlags
+ * @property {{[id: string]: import('./test-scenarios').ScenarioSetting}} [scenarios] Turns the test scenarios
+ *  on or off and sets their parameters, the other scenarios of the image kind run by default
+ */
+
+/**
+ * "root" by default, "node" is the non-root user from the Docker Node image,
+ * "mapped" is a non-root user with UID and GID set using the build arguments
+ * @typedef {'root'|'node'|'mapped'} ImageUser
+ */
+
+/**
+ * @typedef {object} ImageManifest
+ * @property {string} name Docker image name like "cypress/base"
+ * @property {string} tag Docker image tag like "12.18.3"
+ * @property {string|null} from The FROM image like "node:12.18.3-buster"
+ * @property {string|null} os Operating system like "buster" or "ubuntu18"
+ * @property {string|null} node Node version like "12.18.3"
+ * @property {string|null} nodeEol The end-of-life date of the Node major version like "2023-04-30",
+ *  null if unknown, see node-policy.js
+ * @property {string|null} npm NPM version if known
+ * @property {string|null} yarn Yarn version if known
+ * @property {string|null} cypress Cypress version, only for the included images.
+ *  A pre-release version like "6.5.0-beta.cb0f32b" is never pushed to Docker Hub
+ * @property {{npm: string, binary: string, sha: string}} [cypressBuild] The NPM tarball and the binary zip
+ *  of the custom Cypress build with its commit SHA, URLs or the local files the generator copied
+ * @property {{chrome?: string, firefox?: string, edge?: string, brave?: string}} browsers
+ *  Browser versions, full like "87.0.4280.66" or just the major "87" if the full version is unknown
+ * @property {string} [edgeChannel] The Edge apt channel like "stable" or "dev", only for the images with Edge
+ * @property {ImageUser} user The user the image runs as, only the included images can run as non-root user
+ * @property {string[]} platforms Docker platforms the image is built for, "linux/amd64" by default
+ * @property {string} [fonts] The font and locale profile of the base image like "cjk", see font-profiles.js
+ * @property {import('./image-status').ImageStatus} status Image lifecycle status like "building" or "published"
+ * @property {ImageTestFlags} test Special flags for testing the image on CI
+ * @property {{[filename: string]: string}} [files] SHA-256 hash of every file the generator wrote,
+ *  used to find the files edited by hand after they were generated
+ */
+
+/**
+ * Returns true if the image has a pre-release Cypress version like "6.5.0-beta.1"
+ * @param {ImageManifest} manifest
+ */
+const isPrerelease = (manifest) => Boolean(manifest.cypress && semver.prerelease(manifest.cypress))
+
+/**
+ * Returns the Docker image name for the image kind, like "cypress/base" for "base"
+ * @param {string} kind
+ */
+const imageName = (kind) => `cypress/${kind}`
+
+/**
+ * Forms the manifest from the image tag alone, used for the folders without a manifest
+ * @param {import('./image-tag').ImageKind} kind
+ * @param {string} tag
+ * @returns {ImageManifest}
+ */
+const manifestFromTag = (kind, tag) => {
+  const parsed = parseTag(tag, kind)
+  const browsers = {}
+  Object.keys(parsed.browsers).forEach((browser) => {
+    browsers[browser] = String(parsed.browsers[browser])
+  })
+
+  return {
+    name: imageName(kind),
+    tag,
+    from: null,
+    os: parsed.os,
+    node: parsed.node,
+    nodeEol: nodeEndOfLife(parsed.node),
+    npm: parsed.npm,
+    yarn: null,
+    cypress: parsed.cypress,
+    browsers,
+    user: /** @type {ImageUser} */ (parsed.suffix && kind === 'included' ? parsed.suffix : 'root'),
+    platforms: defaultPlatforms,
+    // the old images without manifests have been pushed to Docker Hub already
+    status: 'published',
+    test: {}
+  }
+}
+
+/**
+ * Reads the manifest from the given image folder, returns null if there is no manifest
+ * @param {string} folder Image folder like "base/12.18.3"
+ * @returns {ImageManifest|null}
+ */
+const readManifest = (folder) => {
+  const filename = path.join(folder, manifestFilename)
+  if (!fs.existsSync(filename)) {
+    return null
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    throw new Error(`Cannot parse image manifest ${filename}: ${e.message}`)
+  }
+}
+
+/**
+ * Returns the manifest file text
+ * @param {ImageManifest} manifest
+ */
+const formatManifest = (manifest) => JSON.stringify(manifest, null, 2) + '\n'
+
+/**
+ * Saves the manifest in the given image folder
+ * @param {string} folder Image folder like "base/12.18.3"
+ * @param {ImageManifest} manifest
+ */
+const writeManifest = (folder, manifest) => {
+  const filename = path.join(folder, manifestFilename)
+  fs.writeFileSync(filename, formatManifest(manifest), 'utf8')
+  return filename
+}
+
+/**
+ * Loads the image manifest from the folder like "base/12.18.3". If the folder
+ * does not have a manifest, forms it from the folder name. The properties
+ * missing from the manifest are filled from the folder name too.
+ * @param {string} folder
+ * @returns {ImageManifest}
+ */
+const loadManifest = (folder) => {
+  const kind = /** @type {import('./image-tag').ImageKind} */ (path.basename(path.dirname(folder)))
+  const tag = path.basename(folder)
+  const fromTag = manifestFromTag(kind, tag)
+  const manifest = readManifest(folder)
+  if (!manifest) {
+    return fromTag
+  }
+  if (manifest.tag !== tag) {
+    throw new Error(`Image manifest in ${folder} has tag "${manifest.tag}" that does not match the folder name`)
+  }
+  checkStatus(manifest.status, folder)
+  const loaded = {...fromTag, ...manifest}
+  // the older manifests do not record the end-of-life date
+  if (!('nodeEol' in manifest)) {
+    loaded.nodeEol = nodeEndOfLife(loaded.node)
+  }
+  return loaded
+}
+
+module.exports = {
+  manifestFilename,
+  imageName,
+  isPrerelease,
+  manifestFromTag,
+  readManifest,
+  formatManifest,
+  writeManifest,
+  loadManifest
+}
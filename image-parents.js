@@ -0,0 +1,98 @@
+// @ts-check
+// finds the parent image of every image folder using its Dockerfile FROM line.
+// An included image is FROM a browsers image, which is FROM a base image,
+// and when both live in this repo, CI has to build the parent image first.
+const {splitImageName} = require('./image-tag')
+const {shouldBuild} = require('./image-status')
+
+/**
+ * @typedef {object} ImageFolder
+ * @property {string} name Image kind like "base", same as the top folder
+ * @property {string} tag Image tag like "12.18.3", same as the subfolder
+ * @property {import('./image-manifest').ImageManifest} manifest
+ * @property {string|null} from The FROM image like "cypress/base:12.18.3"
+ * @property {string|null} [parent] The parent image folder like "base/12.18.3"
+ *  if the FROM image is one of the images from this repo
+ */
+
+/**
+ * Returns the repo folder for the given Docker image name,
+ * like "base/12.18.3" for "cypress/base:12.18.3".
+ * Returns null for non-Cypress images like "node:12.18.3-buster"
+ * @param {string} image
+ */
+const imageFolder = (image) => {
+  const {name, tag} = splitImageName(image)
+  const matches = /^cypress\/(base|browsers|included)$/.exec(name)
+  return matches ? `${matches[1]}/${tag}` : null
+}
+
+/**
+ * @param {ImageFolder} image
+ */
+const folderOf = (image) => `${image.name}/${image.tag}`
+
+/**
+ * Sets the "parent" property of every image to the folder of its FROM image.
+ * Throws an error if an image CI should build comes FROM a Cypress image
+ * that has no folder in this repo, or if the images form a cycle.
+ * @param {ImageFolder[]} images
+ */
+const resolveParents = (images) => {
+  const byFolder = new Map(images.map((image) => [folderOf(image), image]))
+
+  images.forEach((image) => {
+    const folder = image.from ? imageFolder(image.from) : null
+    image.parent = folder && byFolder.has(folder) ? folder : null
+
+    if (!shouldBuild(image.manifest.status)) {
+      // published images are never built again, their parents do not matter
+      return
+    }
+    if (folder && !image.parent) {
+      throw new Error(`Image ${folderOf(image)} is FROM ${image.from}, ` +
+        `but there is no folder ${folder} in this repo`)
+    }
+    if (image.parent) {
+      const parent = byFolder.get(image.parent)
+      if (parent.manifest.status === 'draft' && image.manifest.status !== 'draft') {
+        throw new Error(`Image ${folderOf(image)} has status "${image.manifest.status}", ` +
+          `but its parent ${image.parent} is a draft that is never pushed`)
+      }
+    }
+  })
+
+  images.forEach((image) => {
+    const chain = [folderOf(image)]
+    let current = image
+    while (current.parent) {
+      if (chain.includes(current.parent)) {
+        throw new Error(`Images form a cycle: ${chain.concat(current.parent).join(' -> ')}`)
+      }
+      chain.push(current.parent)
+      current = byFolder.get(current.parent)
+    }
+  })
+
+  return images
+}
+
+/**
+ * Returns the parent image if CI builds it in the same workflow, otherwise
+ * the parent is pulled from Docker Hub and the job does not need to wait for it.
+ * @param {ImageFolder} image
+ * @param {ImageFolder[]} images
+ */
+const findBuiltParent = (image, images) => {
+  if (!image.parent) {
+    return null
+  }
+  const parent = images.find((candidate) => folderOf(candidate) === image.parent)
+  return parent && shouldBuild(parent.manifest.status) ? parent : null
+}
+
+module.exports = {
+  imageFolder,
+  resolveParents,
+  findBuiltParent
+}
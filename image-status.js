@@ -0,0 +1,80 @@
+// @ts-check
+// every image goes through the lifecycle
+//   draft -> building -> published -> frozen or deprecated
+// the status is stored in the image manifest "image.json"
+// and decides what CircleCI does with the image
+
+/** @typedef {'draft'|'building'|'published'|'frozen'|'deprecated'} ImageStatus */
+
+const imageStatuses = {
+  draft: 'work in progress, CI builds and tests the image, but never pushes it',
+  building: 'CI builds and tests the image, then pushes it to Docker Hub from the master branch',
+  published: 'the image was pushed to Docker Hub, CI never builds it again',
+  frozen: 'the image was pushed to Docker Hub and its folder should not change anymore',
+  deprecated: 'the image was pushed to Docker Hub, but should not be used anymore'
+}
+
+// the status changes we allow, notice that once the image is published
+// there is no way back to building it again
+const allowedTransitions = {
+  draft: ['building'],
+  building: ['draft', 'published'],
+  published: ['frozen', 'deprecated'],
+  frozen: ['deprecated'],
+  deprecated: []
+}
+
+/**
+ * @param {string} status
+ * @returns {status is ImageStatus}
+ */
+const isValidStatus = (status) => Object.keys(imageStatuses).includes(status)
+
+/**
+ * Throws an error if the status is unknown
+ * @param {string} status
+ * @param {string} image Image name for the error message
+ */
+const checkStatus = (status, image) => {
+  if (!isValidStatus(status)) {
+    throw new Error(`Image ${image} has unknown status "${status}", ` +
+      `expected one of ${Object.keys(imageStatuses).join(', ')}`)
+  }
+}
+
+/**
+ * Should CI build and test the image with the given status?
+ * @param {ImageStatus} status
+ */
+const shouldBuild = (status) => status === 'draft' || status === 'building'
+
+/**
+ * Should CI push the image with the given status to Docker Hub after testing it?
+ * @param {ImageStatus} status
+ */
+const shouldPush = (status) => status === 'building'
+
+/**
+ * Was the image with the given status pushed to Docker Hub already?
+ * Published images cannot be generated or built again.
+ * @param {ImageStatus} status
+ */
+const isPublished = (status) => !shouldBuild(status)
+
+/**
+ * Returns true if the image can change from one status to another
+ * @param {ImageStatus} from
+ * @param {ImageStatus} to
+ */
+const canTransition = (from, to) => allowedTransitions[from].includes(to)
+
+module.exports = {
+  imageStatuses,
+  allowedTransitions,
+  isValidStatus,
+  checkStatus,
+  shouldBuild,
+  shouldPush,
+  isPublished,
+  canTransition
+}
@@ -0,0 +1,262 @@
+// @ts-check
+// parses and formats the image tags we use as folder names, for example
+//   base       "12.18.3", "12.0.0-libgbm", "ubuntu18-node12.14.1", "manjaro-14.12.0", "bullseye-node14.16.0"
+//   browsers   "node12.18.3-chrome87-ff82", "node8.9.3-npm6.10.1-chrome76-ff68"
+//   included   "6.4.0" (the Cypress version), "6.4.0-node" (runs as non-root user)
+const {isStrictSemver} = require('./utils')
+
+/**
+ * @typedef {object} BrowserMajors
+ * @property {number} [chrome]
+ * @property {number} [firefox]
+ * @property {number} [edge]
+ * @property {number} [brave]
+ */
+
+/**
+ * @typedef {object} ImageTag
+ * @property {string|null} os Operating system like "ubuntu18" or "centos7"
+ * @property {string|null} node Full or partial Node version like "12.18.3" or "12"
+ * @property {string|null} npm NPM version like "6.10.1"
+ * @property {string|null} cypress Cypress version, only for the included images
+ * @property {BrowserMajors} browsers Browser major versions
+ * @property {string|null} suffix Anything after the known parts, like "libgbm",
+ *  or the non-root user mode of the included image, like "node"
+ */
+
+/** @typedef {'base'|'browsers'|'included'} ImageKind */
+
+// browser name => tag prefix, in the order the browsers appear in a tag
+const browserPrefixes = {
+  chrome: 'chrome',
+  firefox: 'ff',
+  edge: 'edge',
+  brave: 'brave'
+}
+
+// the included images running as non-root user have the user mode at the end of the tag,
+// like "6.4.0-node" or "6.4.0-mapped", the images without it run as root
+const includedUserSuffixes = ['node', 'mapped']
+
+// operating systems the images are built on, like "ubuntu18", "manjaro" or "bullseye",
+// the default Debian 10 "buster" is never part of the tag
+const osRegex = /^((centos|ubuntu|manjaro)\d*|bullseye)$/
+// full or partial version like "12", "12.18" or "12.18.3"
+const versionRegex = /^\d+(\.\d+){0,2}$/
+
+/**
+ * Returns an empty tag object
+ * @returns {ImageTag}
+ */
+const emptyTag = () => {
+  return {
+    os: null,
+    node: null,
+    npm: null,
+    cypress: null,
+    browsers: {},
+    suffix: null
+  }
+}
+
+/**
+ * Parses the base or browsers image tag into its parts.
+ * Throws an error if the tag is malformed, like "node13.6.0-chrome-80-ff72"
+ * @param {string} tag
+ * @returns {ImageTag}
+ */
+const parseImageTag = (tag) => {
+  const parsed = emptyTag()
+  const fail = (reason) => {
+    throw new Error(`Invalid image tag "${tag}": ${reason}`)
+  }
+
+  const parts = tag.split('-')
+  if (parts.some((part) => !part)) {
+    fail('empty part')
+  }
+
+  const browserNames = Object.keys(browserPrefixes)
+  let k = 0
+  while (k < parts.length) {
+    const part = parts[k]
+    k += 1
+
+    if (k === 1 && osRegex.test(part)) {
+      parsed.os = part
+      continue
+    }
+
+    // npm version comes as "npm6.10.1" or as two parts "npm-6.10.1"
+    if (part.startsWith('npm')) {
+      const version = part === 'npm' ? parts[k++] : part.substr(3)
+      if (!version || !versionRegex.test(version)) {
+        fail(`cannot find NPM version in "${part}"`)
+      }
+      if (parsed.npm) {
+        fail('NPM version is listed twice')
+      }
+      parsed.npm = version
+      continue
+    }
+
+    const nodeVersion = part.startsWith('node') ? part.substr(4) : part
+    if (versionRegex.test(nodeVersion)) {
+      if (parsed.node) {
+        fail(`unexpected version "${part}"`)
+      }
+      parsed.node = nodeVersion
+      continue
+    }
+    if (part.startsWith('node')) {
+      fail(`cannot find Node version in "${part}"`)
+    }
+
+    const browserName = browserNames.find((name) => part.startsWith(browserPrefixes[name]))
+    if (browserName) {
+      const major = part.substr(browserPrefixes[browserName].length)
+      if (!/^\d+$/.test(major)) {
+        fail(`cannot find ${browserName} major version in "${part}"`)
+      }
+      if (parsed.browsers[browserName]) {
+        fail(`${browserName} is listed twice`)
+      }
+      parsed.browsers[browserName] = parseInt(major)
+      continue
+    }
+
+    // anything we do not know goes into the suffix, like "libgbm"
+    parsed.suffix = parts.slice(k - 1).join('-')
+    break
+  }
+
+  if (!parsed.os && !parsed.node && !Object.keys(parsed.browsers).length) {
+    fail('cannot find operating system, Node version or browsers')
+  }
+
+  return parsed
+}
+
+/**
+ * Parses the included image tag, which is the Cypress version
+ * with optional non-root user mode suffix
+ * @param {string} tag
+ * @returns {ImageTag}
+ */
+const parseIncludedTag = (tag) => {
+  const user = includedUserSuffixes.find((suffix) => tag.endsWith(`-${suffix}`))
+  const version = user ? tag.slice(0, -user.length - 1) : tag
+  if (!isStrictSemver(version)) {
+    throw new Error(`Invalid image tag "${tag}": expected Cypress version like "6.4.0"`)
+  }
+  const parsed = emptyTag()
+  parsed.cypress = version
+  parsed.suffix = user || null
+  return parsed
+}
+
+/**
+ * Parses the image tag (usually the folder name) into its parts
+ * @param {string} tag
+ * @param {ImageKind} [kind]
+ * @returns {ImageTag}
+ * @example
+ *  parseTag('node12.13.0-chrome78-ff70-brave78')
+ *  // {os: null, node: '12.13.0', npm: null, cypress: null,
+ *  //  browsers: {chrome: 78, firefox: 70, brave: 78}, suffix: null}
+ */
+const parseTag = (tag, kind = 'base') => {
+  if (typeof tag !== 'string' || !tag) {
+    throw new Error('Missing image tag')
+  }
+  if (kind === 'included') {
+    return parseIncludedTag(tag)
+  }
+  return parseImageTag(tag)
+}
+
+/**
+ * Forms the canonical image tag from its parts. The Node version gets
+ * "node" prefix if there is an operating system or browsers in the tag,
+ * so "ubuntu18-node12.14.1" and "node12.18.3-chrome87-ff82" but "12.18.3"
+ * @param {Partial<ImageTag>} parsed
+ * @returns {string}
+ */
+const formatTag = (parsed) => {
+  if (parsed.cypress) {
+    return parsed.suffix ? `${parsed.cypress}-${parsed.suffix}` : parsed.cypress
+  }
+
+  const browsers = parsed.browsers || {}
+  const browserNames = Object.keys(browserPrefixes).filter((name) => browsers[name])
+
+  const parts = []
+  if (parsed.os) {
+    parts.push(parsed.os)
+  }
+  if (parsed.node) {
+    const prefixed = parsed.os || browserNames.length
+    parts.push(prefixed ? `node${parsed.node}` : parsed.node)
+  }
+  if (parsed.npm) {
+    parts.push(`npm${parsed.npm}`)
+  }
+  browserNames.forEach((name) => {
+    parts.push(`${browserPrefixes[name]}${browsers[name]}`)
+  })
+  if (parsed.suffix) {
+    parts.push(parsed.suffix)
+  }
+  if (!parts.length) {
+    throw new Error('Cannot form image tag without any parts')
+  }
+  return parts.join('-')
+}
+
+/**
+ * Returns true if the given tag is valid and already in its canonical form
+ * @param {string} tag
+ * @param {ImageKind} [kind]
+ */
+const isCanonicalTag = (tag, kind = 'base') => {
+  try {
+    return formatTag(parseTag(tag, kind)) === tag
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * Returns true if the Node version in the tag is a full "X.Y.Z" version
+ * @param {ImageTag} parsed
+ */
+const hasFullNodeVersion = (parsed) => Boolean(parsed.node && isStrictSemver(parsed.node))
+
+/**
+ * Splits the full Docker image name like "cypress/base:12.18.3"
+ * into the name "cypress/base" and the tag "12.18.3"
+ * @param {string} image
+ */
+const splitImageName = (image) => {
+  // ignore the digest part like "@sha256:d16e..."
+  const [nameAndTag] = image.split('@')
+  const k = nameAndTag.lastIndexOf(':')
+  // a colon before the last slash belongs to the registry port like "localhost:5000/base"
+  if (k === -1 || k < nameAndTag.lastIndexOf('/')) {
+    return {name: nameAndTag, tag: 'latest'}
+  }
+  return {
+    name: nameAndTag.substr(0, k),
+    tag: nameAndTag.substr(k + 1)
+  }
+}
+
+module.exports = {
+  browserPrefixes,
+  includedUserSuffixes,
+  parseTag,
+  formatTag,
+  isCanonicalTag,
+  hasFullNodeVersion,
+  splitImageName
+}
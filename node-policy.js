@@ -0,0 +1,145 @@
+// @ts-check
+// which Node versions we build new images for. The Node release schedule
+// is checked in as node-schedule.json, copied from https://github.com/nodejs/Release
+// We only build images with the even Node major versions before their end-of-life,
+// the odd major versions never become LTS and are supported for a few months only.
+// The generators refuse the other versions unless passed "--allow-unsupported-node"
+const path = require('path')
+const fs = require('fs')
+const semver = require('semver')
+
+const scheduleFilename = path.join(__dirname, 'node-schedule.json')
+
+/**
+ * @typedef {object} NodeRelease
+ * @property {string} start The release date of the major version like "2020-04-21"
+ * @property {string} [lts] The date the major version became LTS, the odd major versions never do
+ * @property {string} maintenance The date the major version moved to the maintenance
+ * @property {string} end The end-of-life date of the major version
+ */
+
+/**
+ * @typedef {{[major: string]: NodeRelease}} NodeSchedule
+ */
+
+/**
+ * "supported" and "maintenance" versions can get new images, the others are refused
+ * @typedef {'supported'|'maintenance'|'odd'|'eol'|'unknown'} NodePolicyStatus
+ */
+
+/**
+ * @typedef {object} NodePolicy
+ * @property {string|null} major Like "14"
+ * @property {NodePolicyStatus} status
+ * @property {string|null} end The end-of-life date, null if the major version is unknown
+ * @property {string} message Explains the status
+ */
+
+/** @type {NodeSchedule|null} */
+let defaultSchedule = null
+
+/**
+ * Loads the checked in Node release schedule, or the given schedule file
+ * @param {string} [filename]
+ * @returns {NodeSchedule}
+ */
+const loadSchedule = (filename) => {
+  if (filename) {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'))
+  }
+  if (!defaultSchedule) {
+    defaultSchedule = JSON.parse(fs.readFileSync(scheduleFilename, 'utf8'))
+  }
+  return defaultSchedule
+}
+
+/**
+ * Returns the major version like "14" from the full or partial Node version
+ * like "14.16.0", "10.13" or "8", null if there is no version
+ * @param {string|null} version
+ */
+const nodeMajor = (version) => {
+  const parsed = version ? semver.coerce(version) : null
+  return parsed ? String(parsed.major) : null
+}
+
+/**
+ * Returns the end-of-life date of the Node version like "2023-04-30",
+ * or null if the major version is not in the schedule
+ * @param {string|null} version
+ * @param {NodeSchedule} [schedule]
+ */
+const nodeEndOfLife = (version, schedule = loadSchedule()) => {
+  const release = schedule[nodeMajor(version)]
+  return release ? release.end : null
+}
+
+/**
+ * Returns the date like "2021-03-15"
+ * @param {Date} date
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * Checks the Node version against the release schedule on the given day
+ * @param {string} version Like "14.16.0"
+ * @param {{today?: Date, schedule?: NodeSchedule}} [options]
+ * @returns {NodePolicy}
+ */
+const checkNodePolicy = (version, {today = new Date(), schedule = loadSchedule()} = {}) => {
+  const major = nodeMajor(version)
+  const release = schedule[major]
+  if (!release) {
+    return {
+      major,
+      status: 'unknown',
+      end: null,
+      message: `Node ${major} is not in the Node release schedule, update ${path.basename(scheduleFilename)}`
+    }
+  }
+  const day = formatDate(today)
+  if (release.end <= day) {
+    return {major, status: 'eol', end: release.end, message: `Node ${major} reached its end-of-life on ${release.end}`}
+  }
+  if (!release.lts) {
+    return {
+      major,
+      status: 'odd',
+      end: release.end,
+      message: `Node ${major} is an odd major version without long-term support, its end-of-life is ${release.end}`
+    }
+  }
+  if (release.maintenance <= day) {
+    return {
+      major,
+      status: 'maintenance',
+      end: release.end,
+      message: `Node ${major} is in maintenance, its end-of-life is ${release.end}`
+    }
+  }
+  return {major, status: 'supported', end: release.end, message: `Node ${major} is supported until ${release.end}`}
+}
+
+/**
+ * Returns true if we should not build new images with this Node version
+ * @param {NodePolicy} policy
+ */
+const isUnsupported = (policy) => policy.status === 'eol' || policy.status === 'odd'
+
+/**
+ * Returns true if the image Node has reached its end-of-life on the given day
+ * @param {string|null} nodeEol The end-of-life date from the image manifest
+ * @param {Date} [today]
+ */
+const isNodeEol = (nodeEol, today = new Date()) => Boolean(nodeEol && nodeEol <= formatDate(today))
+
+module.exports = {
+  scheduleFilename,
+  loadSchedule,
+  nodeMajor,
+  nodeEndOfLife,
+  checkNodePolicy,
+  isUnsupported,
+  isNodeEol,
+  formatDate
+}
@@ -0,0 +1,328 @@
+// @ts-check
+// maps every Cypress system dependency to the package names of each operating system
+// the base images can be built on, plus the package manager commands to install them.
+// See https://on.cypress.io/required-dependencies for the list of dependencies.
+// When Cypress needs a new library, add it to "dependencies" for every package family.
+// The fonts are installed by the font profile of the image, see "font-profiles.js"
+
+/** @typedef {'debian'|'ubuntu'|'rhel'} PackageFamily */
+
+/**
+ * @typedef {object} Dependency
+ * @property {string} [comment] Shown above the packages in the Dockerfile
+ * @property {{[family in PackageFamily]: string[]} & {[os: string]: string[]}} packages
+ *  Package names for each package family, or for a single operating system
+ *  if its package names differ from the rest of the family
+ */
+
+/** @type {Dependency[]} */
+const dependencies = [
+  {
+    packages: {
+      debian: ['libgtk2.0-0', 'libgtk-3-0', 'libnotify-dev', 'libgconf-2-4', 'libgbm-dev',
+        'libnss3', 'libxss1', 'libasound2', 'libxtst6', 'xauth', 'xvfb'],
+      ubuntu: ['libgtk2.0-0', 'libgtk-3-0', 'libnotify-dev', 'libgconf-2-4', 'libgbm-dev',
+        'libnss3', 'libxss1', 'libasound2', 'libxtst6', 'xauth', 'xvfb'],
+      rhel: ['gtk2', 'gtk3', 'libnotify-devel', 'GConf2', 'mesa-libgbm',
+        'nss', 'libXScrnSaver', 'alsa-lib', 'libXtst', 'xorg-x11-xauth', 'xorg-x11-server-Xvfb']
+    }
+  }
+]
+
+/**
+ * The font packages the font profiles pick from
+ * @type {{[name: string]: Dependency}}
+ */
+const fontDependencies = {
+  emoji: {
+    comment: 'install emoji font',
+    packages: {
+      debian: ['fonts-noto-color-emoji'],
+      ubuntu: ['fonts-noto-color-emoji'],
+      rhel: ['google-noto-emoji-color-fonts']
+    }
+  },
+  chinese: {
+    comment: 'install Chinese fonts\nthis list was copied from https://github.com/jim3ma/docker-leanote',
+    packages: {
+      debian: ['fonts-arphic-bkai00mp', 'fonts-arphic-bsmi00lp', 'fonts-arphic-gbsn00lp',
+        'fonts-arphic-gkai00mp', 'fonts-arphic-ukai', 'fonts-arphic-uming',
+        'ttf-wqy-zenhei', 'ttf-wqy-microhei', 'xfonts-wqy'],
+      // Debian 11 has dropped the transitional "ttf-wqy-*" packages
+      bullseye: ['fonts-arphic-bkai00mp', 'fonts-arphic-bsmi00lp', 'fonts-arphic-gbsn00lp',
+        'fonts-arphic-gkai00mp', 'fonts-arphic-ukai', 'fonts-arphic-uming',
+        'fonts-wqy-zenhei', 'fonts-wqy-microhei', 'xfonts-wqy'],
+      ubuntu: ['fonts-arphic-bkai00mp', 'fonts-arphic-bsmi00lp', 'fonts-arphic-gbsn00lp',
+        'fonts-arphic-gkai00mp', 'fonts-arphic-ukai', 'fonts-arphic-uming',
+        'fonts-wqy-zenhei', 'fonts-wqy-microhei', 'xfonts-wqy'],
+      rhel: ['cjkuni-ukai-fonts', 'cjkuni-uming-fonts', 'wqy-microhei-fonts', 'wqy-zenhei-fonts']
+    }
+  },
+  international: {
+    comment: 'install Japanese, Korean, Arabic, Hebrew, Thai and Devanagari fonts',
+    packages: {
+      debian: ['fonts-noto-cjk', 'fonts-kacst', 'fonts-freefont-ttf', 'fonts-thai-tlwg', 'fonts-lohit-deva'],
+      ubuntu: ['fonts-noto-cjk', 'fonts-kacst', 'fonts-freefont-ttf', 'fonts-thai-tlwg', 'fonts-lohit-deva'],
+      rhel: ['google-noto-sans-cjk-ttc-fonts', 'paktype-naskh-basic-fonts', 'dejavu-sans-fonts',
+        'thai-scalable-waree-fonts', 'lohit-devanagari-fonts']
+    }
+  }
+}
+
+/**
+ * @typedef {object} PackageManager
+ * @property {(lines: string[]) => string} install Forms the RUN command installing
+ *  the package lines, the lines can include comments
+ * @property {string[]} nodeTools Packages needed to download and unpack Node
+ * @property {(name: string, version: string) => string} pin Forms the package
+ *  with its exact version to install, see "image-lock.js"
+ * @property {(names: string[]) => string} versionsCommand Forms the shell command
+ *  printing the versions the packages would be installed with
+ * @property {(output: string) => {[name: string]: string}} parseVersions Finds the package
+ *  versions in the output of "versionsCommand", the missing packages are left out
+ */
+
+/**
+ * Finds the candidate versions in "apt-cache policy" output like
+ *   libgtk2.0-0:
+ *     Installed: (none)
+ *     Candidate: 2.24.32-3
+ * @param {string} output
+ */
+const parseAptPolicy = (output) => {
+  /** @type {{[name: string]: string}} */
+  const versions = {}
+  const regex = /^(\S+):\n\s+Installed: .*\n\s+Candidate: (\S+)/gm
+  let matches
+  while ((matches = regex.exec(output))) {
+    if (matches[2] !== '(none)') {
+      versions[matches[1]] = matches[2]
+    }
+  }
+  return versions
+}
+
+/**
+ * Finds the package versions in "yum info" output, the blocks like
+ *   Name        : gtk2
+ *   Version     : 2.24.31
+ *   Release     : 1.el7
+ * the available package listed after the installed one wins
+ * @param {string} output
+ */
+const parseYumInfo = (output) => {
+  /** @type {{[name: string]: string}} */
+  const versions = {}
+  output.split(/\n\s*\n/).forEach((block) => {
+    const field = (name) => {
+      const matches = new RegExp(`^${name}\\s*:\\s*(\\S+)`, 'm').exec(block)
+      return matches ? matches[1] : null
+    }
+    const [name, version, release] = [field('Name'), field('Version'), field('Release')]
+    if (name && version && release) {
+      versions[name] = `${version}-${release}`
+    }
+  })
+  return versions
+}
+
+/** @type {{[name: string]: PackageManager}} */
+const packageManagers = {
+  apt: {
+    install: (lines) => 'RUN apt-get update && \\\n' +
+      '  apt-get install --no-install-recommends -y \\\n' +
+      lines.map((line) => `  ${line}${line.startsWith('#') ? '' : ' \\'}\n`).join('') +
+      '  # clean up\n' +
+      '  && rm -rf /var/lib/apt/lists/*',
+    nodeTools: ['ca-certificates', 'curl', 'xz-utils'],
+    pin: (name, version) => `${name}=${version}`,
+    versionsCommand: (names) => `apt-get update > /dev/null && apt-cache policy ${names.join(' ')}`,
+    parseVersions: parseAptPolicy
+  },
+  yum: {
+    install: (lines) => 'RUN yum install -y \\\n' +
+      lines.map((line) => `  ${line}${line.startsWith('#') ? '' : ' \\'}\n`).join('') +
+      '  # clean up\n' +
+      '  && yum clean all',
+    nodeTools: ['curl', 'xz'],
+    pin: (name, version) => `${name}-${version}`,
+    versionsCommand: (names) => `yum info --quiet ${names.join(' ')}`,
+    parseVersions: parseYumInfo
+  }
+}
+
+/**
+ * @typedef {object} OperatingSystem
+ * @property {string} title Name shown in the README, like "Debian 10"
+ * @property {PackageFamily} family Which package names to use
+ * @property {string} packageManager Key in "packageManagers"
+ * @property {(nodeVersion: string) => string} from Docker image to start from
+ * @property {boolean} hasNode True if the FROM image has Node, NPM and Yarn already,
+ *  otherwise the Dockerfile installs the Node binary from nodejs.org
+ * @property {string[]} [setup] Extra Dockerfile lines before installing the packages
+ * @property {string} versionLine Prints the OS version in the Dockerfile
+ */
+
+/**
+ * Operating systems "generate-base-image" supports, the key goes into
+ * the image tag like "ubuntu20-node14.16.0", except for the default "buster"
+ * @type {{[os: string]: OperatingSystem}}
+ */
+const operatingSystems = {
+  buster: {
+    title: 'Debian 10',
+    family: 'debian',
+    packageManager: 'apt',
+    from: (nodeVersion) => `node:${nodeVersion}-buster`,
+    hasNode: true,
+    versionLine: '"debian version:  $(cat /etc/debian_version) \\n"'
+  },
+  bullseye: {
+    title: 'Debian 11',
+    family: 'debian',
+    packageManager: 'apt',
+    from: (nodeVersion) => `node:${nodeVersion}-bullseye`,
+    hasNode: true,
+    versionLine: '"debian version:  $(cat /etc/debian_version) \\n"'
+  },
+  ubuntu18: {
+    title: 'Ubuntu 18.04',
+    family: 'ubuntu',
+    packageManager: 'apt',
+    from: () => 'ubuntu:18.04',
+    hasNode: false,
+    setup: ['# do not ask any questions while installing the packages', 'ENV DEBIAN_FRONTEND noninteractive'],
+    versionLine: '"ubuntu version:  $(. /etc/os-release && echo $VERSION) \\n"'
+  },
+  ubuntu20: {
+    title: 'Ubuntu 20.04',
+    family: 'ubuntu',
+    packageManager: 'apt',
+    from: () => 'ubuntu:20.04',
+    hasNode: false,
+    setup: ['# do not ask any questions while installing the packages', 'ENV DEBIAN_FRONTEND noninteractive'],
+    versionLine: '"ubuntu version:  $(. /etc/os-release && echo $VERSION) \\n"'
+  },
+  centos7: {
+    title: 'CentOS 7',
+    family: 'rhel',
+    packageManager: 'yum',
+    from: () => 'centos:7',
+    hasNode: false,
+    versionLine: '"centOS version:  $(cat /etc/centos-release) \\n"'
+  }
+}
+
+const defaultOs = 'buster'
+
+// the older Debian releases of the Docker Node images the first images were built on
+const olderNodeImageReleases = ['debian', 'jessie', 'stretch']
+
+/**
+ * Returns the package family of the image operating system, like "debian" for "buster"
+ * or "rhel" for "centos7". The images without the operating system in the manifest
+ * or the tag are Debian Node images. Returns null for the other operating systems
+ * @param {string|null} os Operating system from the image manifest
+ * @returns {PackageFamily|null}
+ */
+const osFamily = (os) => {
+  if (!os || olderNodeImageReleases.includes(os)) {
+    return 'debian'
+  }
+  return operatingSystems[os] ? operatingSystems[os].family : null
+}
+
+/**
+ * Returns true if the image on the operating system comes from the Docker Node image
+ * with its non-root user "node", like the "buster" images.
+ * Returns false for "ubuntu20" or "centos7" images that install Node themselves
+ * @param {string|null} os Operating system from the image manifest
+ */
+const hasNodeUser = (os) => {
+  if (!os || olderNodeImageReleases.includes(os)) {
+    return true
+  }
+  return Boolean(operatingSystems[os] && operatingSystems[os].hasNode)
+}
+
+/**
+ * Returns the package lines to install on the given operating system,
+ * including the comments from the dependencies list
+ * @param {string} os Key in "operatingSystems"
+ * @param {Dependency[]} [fonts] The font packages to install after the dependencies
+ */
+const packageLines = (os, fonts = []) => {
+  const {family} = operatingSystems[os]
+  const lines = []
+  dependencies.concat(fonts).forEach((dependency) => {
+    if (dependency.comment) {
+      dependency.comment.split('\n').forEach((line) => lines.push(`# ${line}`))
+    }
+    lines.push(...(dependency.packages[os] || dependency.packages[family]))
+  })
+  return lines
+}
+
+/**
+ * Returns the operating system, throws an error if it is unknown
+ * @param {string} os Key in "operatingSystems"
+ */
+const findOperatingSystem = (os) => {
+  const system = operatingSystems[os]
+  if (!system) {
+    throw new Error(`Unknown operating system "${os}", expected one of ${Object.keys(operatingSystems).join(', ')}`)
+  }
+  return system
+}
+
+/**
+ * Returns the package lines the Dockerfile installs on the operating system,
+ * including the tools to install Node if the FROM image has no Node
+ * @param {string} os Key in "operatingSystems"
+ * @param {Dependency[]} [fonts]
+ */
+const installLines = (os, fonts = []) => {
+  const system = findOperatingSystem(os)
+  const lines = packageLines(os, fonts)
+  if (!system.hasNode) {
+    lines.unshift('# to download and unpack Node', ...packageManagers[system.packageManager].nodeTools,
+      '# Cypress dependencies')
+  }
+  return lines
+}
+
+/**
+ * Returns the names of all packages the Dockerfile installs on the operating system
+ * @param {string} os Key in "operatingSystems"
+ * @param {Dependency[]} [fonts]
+ */
+const packageNames = (os, fonts = []) => installLines(os, fonts).filter((line) => !line.startsWith('#'))
+
+/**
+ * Forms the Dockerfile RUN command installing all Cypress dependencies
+ * and the given fonts on the given operating system
+ * @param {string} os Key in "operatingSystems" like "ubuntu20"
+ * @param {Dependency[]} [fonts] The font packages from "fontDependencies"
+ * @param {{[name: string]: string}} [versions] The exact package versions from the image lock,
+ *  the packages without a version are installed unpinned
+ */
+const installDependencies = (os, fonts = [], versions = {}) => {
+  const packageManager = packageManagers[findOperatingSystem(os).packageManager]
+  const lines = installLines(os, fonts).map((line) =>
+    line.startsWith('#') || !versions[line] ? line : packageManager.pin(line, versions[line]))
+  return packageManager.install(lines)
+}
+
+module.exports = {
+  dependencies,
+  fontDependencies,
+  packageManagers,
+  operatingSystems,
+  defaultOs,
+  osFamily,
+  hasNodeUser,
+  parseAptPolicy,
+  parseYumInfo,
+  packageNames,
+  installDependencies
+}
@@ -0,0 +1,108 @@
+// @ts-check
+// the Docker platforms the images can be built for. The images are built
+// for "linux/amd64" unless their manifest lists more platforms, then CI builds them
+// with "docker buildx" and pushes a multi-platform manifest under the same tag.
+// Not every browser has Linux builds for every platform, see "platformBrowsers"
+const semver = require('semver')
+
+/**
+ * @typedef {object} Platform
+ * @property {string} arch Docker "TARGETARCH" build argument like "amd64"
+ * @property {string} nodeArch Architecture in the Node binary file names like "x64"
+ * @property {string[]} browsers Browsers with Linux builds for this platform
+ * @property {{[browser: string]: string}} replacements The browser installed instead
+ *  of the one without a build, like Chromium from the operating system packages instead of Chrome
+ * @property {string} [minCypress] The first Cypress version with the binary for this platform
+ */
+
+/** @type {{[platform: string]: Platform}} */
+const platforms = {
+  'linux/amd64': {
+    arch: 'amd64',
+    nodeArch: 'x64',
+    browsers: ['chrome', 'firefox', 'edge'],
+    replacements: {}
+  },
+  'linux/arm64': {
+    arch: 'arm64',
+    nodeArch: 'arm64',
+    browsers: [],
+    replacements: {chrome: 'chromium'},
+    minCypress: '10.0.0'
+  }
+}
+
+const defaultPlatform = 'linux/amd64'
+const defaultPlatforms = [defaultPlatform]
+
+/**
+ * Parses the comma-separated platforms like "linux/amd64,linux/arm64".
+ * Throws an error on unknown platforms.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const parsePlatforms = (text) => {
+  const list = text.split(',').map((s) => s.trim()).filter(Boolean)
+  if (!list.length) {
+    throw new Error('expected platforms like "linux/amd64,linux/arm64"')
+  }
+  list.forEach((platform) => {
+    if (!platforms[platform]) {
+      throw new Error(`Unknown platform "${platform}", expected one of ${Object.keys(platforms).join(', ')}`)
+    }
+  })
+  // the order does not matter, keep the same order as "platforms"
+  return Object.keys(platforms).filter((platform) => list.includes(platform))
+}
+
+/**
+ * Returns true if the image is built for other platforms than "linux/amd64"
+ * @param {string[]} list
+ */
+const isMultiPlatform = (list) => list.length !== 1 || list[0] !== defaultPlatform
+
+/**
+ * Returns the browsers installed on the platform for the given image browsers:
+ * the browser itself, its replacement like "chromium", or nothing
+ * @param {string} platform
+ * @param {string[]} browsers Like ["chrome", "firefox"]
+ * @returns {{browser: string, installed: string}[]}
+ */
+const platformBrowsers = (platform, browsers) => {
+  const {browsers: available, replacements} = platforms[platform]
+  return browsers
+    .map((browser) => ({browser, installed: available.includes(browser) ? browser : replacements[browser]}))
+    .filter((found) => Boolean(found.installed))
+}
+
+/**
+ * Returns the platforms without a Cypress binary for the given Cypress version
+ * @param {string[]} list
+ * @param {string} cypressVersion
+ */
+const platformsWithoutCypress = (list, cypressVersion) => {
+  return list.filter((platform) => {
+    const {minCypress} = platforms[platform]
+    return minCypress && semver.lt(cypressVersion, minCypress)
+  })
+}
+
+/**
+ * Returns the platforms the parent image is not built for
+ * @param {string[]} list
+ * @param {string[]} parentPlatforms
+ */
+const missingParentPlatforms = (list, parentPlatforms) => {
+  return list.filter((platform) => !parentPlatforms.includes(platform))
+}
+
+module.exports = {
+  platforms,
+  defaultPlatform,
+  defaultPlatforms,
+  parsePlatforms,
+  isMultiPlatform,
+  platformBrowsers,
+  platformsWithoutCypress,
+  missingParentPlatforms
+}
@@ -0,0 +1,66 @@
+// resolves the exact versions of a reproducible image again and updates its lock file,
+// the only way the pinned FROM digest, NPM, Yarn and OS package versions change
+//   npm run lock -- base/14.16.0
+//   npm run lock -- base/14.16.0 --dry-run
+// prints the changed versions, then regenerate the image folder to use them
+//   npm run regenerate -- base/14.16.0
+// See image-lock.js
+const path = require('path')
+const fs = require('fs')
+const arg = require('arg')
+const {readManifest} = require('./image-manifest')
+const {isPublished} = require('./image-status')
+const {lockFilename, lockRequest, resolveLock, lockChanges, readLock, formatLock} = require('./image-lock')
+
+const args = arg({
+  '--dry-run': Boolean
+})
+
+const folder = args._[0] ? path.normalize(args._[0]) : null
+if (!folder) {
+  console.error('expected image folder like "base/14.16.0"')
+  process.exit(1)
+}
+const manifest = readManifest(folder)
+if (!manifest) {
+  console.error('cannot find the image manifest in folder "%s"', folder)
+  process.exit(1)
+}
+const lock = readLock(folder)
+if (!lock) {
+  console.error('image folder "%s" has no %s, generate the image with --reproducible first', folder, lockFilename)
+  process.exit(1)
+}
+// the published image cannot be generated again, the new versions would never be used
+if (isPublished(manifest.status)) {
+  console.error('image %s:%s has status "%s", its lock cannot change', manifest.name, manifest.tag, manifest.status)
+  process.exit(1)
+}
+
+let refreshed = null
+try {
+  refreshed = resolveLock(lockRequest(manifest))
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+
+const changes = lockChanges(lock, refreshed)
+if (!changes.length) {
+  console.log('%s is up to date', path.join(folder, lockFilename))
+  process.exit(0)
+}
+changes.forEach((change) => console.log('  %s', change))
+if (args['--dry-run']) {
+  process.exit(0)
+}
+
+fs.writeFileSync(path.join(folder, lockFilename), formatLock(refreshed), 'utf8')
+console.log('Saved %s', path.join(folder, lockFilename))
+
+console.log(`
+Please regenerate the image folder ${folder} to use the new versions with
+
+    npm run regenerate -- ${folder}
+    npm run build
+`)
@@ -0,0 +1,210 @@
+// @ts-check
+// generates the existing image folders again using the generator command recorded
+// in the header of their files, thus a fixed template reaches the folders generated before the fix
+//   npm run regenerate
+//   npm run regenerate -- 'included/6.*' --dry-run
+//   npm run regenerate -- --range '>=14 <15' --diff
+// the folders of base and included images are regenerated by default, the globs pick others.
+// The version range applies to the Node version of the base images and the Cypress version
+// of the included images. The folders that cannot be regenerated are listed and skipped:
+// the folders without the header, the folders edited by hand and the published images.
+// The published folders describe the images pushed to Docker Hub that CI never builds again,
+// thus only the draft and building images get the template fix, the published ones get it with their next version
+const path = require('path')
+const fs = require('fs')
+const {spawnSync} = require('child_process')
+const arg = require('arg')
+const globby = require('globby')
+const semver = require('semver')
+const {loadManifest} = require('./image-manifest')
+const {isPublished} = require('./image-status')
+const {findEditedFiles} = require('./image-files')
+const {findGenerateCommand} = require('./dockerfile')
+const {scripts} = require('./package.json')
+
+// the generated files recording the generator command in their header
+const headerFiles = ['Dockerfile', 'README.md', 'build.sh']
+
+const defaultGlobs = ['base/*', 'included/*']
+
+/**
+ * @typedef {object} Regeneration
+ * @property {string} folder Image folder like "included/6.4.0"
+ * @property {string} command The recorded command like "npm run add:included -- 6.4.0 cypress/browsers:..."
+ * @property {string} generator The generator script like "generate-included-image.js"
+ * @property {string[]} args The generator arguments like ["6.4.0", "cypress/browsers:..."]
+ */
+
+/**
+ * @typedef {object} SkippedFolder
+ * @property {string} folder
+ * @property {'published'|'no header'|'edited'} reason
+ * @property {string} message
+ */
+
+/**
+ * Splits the recorded command like "npm run add:base -- 14.16.0 --os ubuntu20" into the generator
+ * script and its arguments, returns null if the command does not run a generator from "package.json"
+ * @param {string} command
+ * @returns {{generator: string, args: string[]}|null}
+ */
+const parseGenerateCommand = (command) => {
+  const matches = /^npm run (add:\S+) -- (.+)$/.exec(command)
+  if (!matches) {
+    return null
+  }
+  // like "node ./generate-base-image"
+  const script = /^node \.\/(\S+)$/.exec(scripts[matches[1]] || '')
+  if (!script) {
+    return null
+  }
+  return {generator: `${script[1]}.js`, args: matches[2].trim().split(/\s+/)}
+}
+
+/**
+ * Returns the generator commands recorded in the headers of the folder files
+ * @param {string} folder
+ * @returns {string[]} The different commands, empty if no file has the header
+ */
+const recordedCommands = (folder) => {
+  const commands = headerFiles
+    .map((name) => path.join(folder, name))
+    .filter((filename) => fs.existsSync(filename))
+    .map((filename) => findGenerateCommand(fs.readFileSync(filename, 'utf8')))
+    .filter(Boolean)
+  return Array.from(new Set(commands))
+}
+
+/**
+ * Returns the version the range applies to: the Node version of the base images,
+ * the Cypress version of the included images, or null for other images
+ * @param {import('./image-manifest').ImageManifest} manifest
+ */
+const rangeVersion = (manifest) => manifest.cypress || (manifest.name === 'cypress/base' ? manifest.node : null)
+
+/**
+ * Decides which folders to regenerate and which to skip
+ * @param {string[]} folders Image folders like "base/14.16.0"
+ * @param {{range?: string}} [options] Semver range of the image versions, the folders outside are left out
+ * @returns {{regenerate: Regeneration[], skipped: SkippedFolder[]}}
+ */
+const planRegeneration = (folders, options = {}) => {
+  /** @type {Regeneration[]} */
+  const regenerate = []
+  /** @type {SkippedFolder[]} */
+  const skipped = []
+  folders.forEach((folder) => {
+    const manifest = loadManifest(folder)
+    if (options.range) {
+      const version = rangeVersion(manifest)
+      if (!version || !semver.satisfies(version, options.range, {includePrerelease: true})) {
+        return
+      }
+    }
+    const commands = recordedCommands(folder)
+    const parsed = commands.length === 1 ? parseGenerateCommand(commands[0]) : null
+    if (!parsed) {
+      const message = commands.length > 1 ? `the files record different commands: ${commands.join(', ')}` :
+        commands.length ? `unknown generator command: ${commands[0]}` : 'the files have no generator command in the header'
+      skipped.push({folder, reason: commands.length > 1 ? 'edited' : 'no header', message})
+      return
+    }
+    const edited = findEditedFiles(folder)
+    if (edited.length) {
+      skipped.push({folder, reason: 'edited', message: `edited by hand after it was generated: ${edited.join(', ')}`})
+      return
+    }
+    // checked last, thus the report lists the published folders without the header or edited by hand too
+    if (isPublished(manifest.status)) {
+      skipped.push({folder, reason: 'published', message: `has status "${manifest.status}"`})
+      return
+    }
+    regenerate.push({folder, command: commands[0], ...parsed})
+  })
+  return {regenerate, skipped}
+}
+
+/**
+ * Forms the lines listing the skipped folders, the published ones are only counted
+ * @param {SkippedFolder[]} skipped
+ * @returns {string[]}
+ */
+const formatSkipped = (skipped) => {
+  const lines = []
+  const list = (reason, title) => {
+    const folders = skipped.filter((skip) => skip.reason === reason)
+    if (folders.length) {
+      lines.push(`skipped ${folders.length} ${title}`)
+      folders.forEach((skip) => lines.push(`  ${skip.folder}: ${skip.message}`))
+    }
+  }
+  list('edited', 'folder(s) edited by hand')
+  list('no header', 'folder(s) without the generator command')
+  const published = skipped.filter((skip) => skip.reason === 'published').length
+  if (published) {
+    lines.push(`skipped ${published} published, frozen or deprecated folder(s) matching their generator command, ` +
+      'they cannot be generated again')
+  }
+  return lines
+}
+
+const main = () => {
+  const args = arg({
+    '--range': String,
+    '--dry-run': Boolean,
+    '--diff': Boolean
+  })
+  const range = args['--range']
+  if (range && !semver.validRange(range)) {
+    console.error('invalid version range "%s"', range)
+    process.exit(1)
+  }
+  const globs = args._.length ? args._.map((glob) => path.normalize(glob).replace(/\/$/, '')) : defaultGlobs
+  // the folder names are taken as they are, the glob library does not list them
+  const isFolder = (glob) => fs.existsSync(glob) && fs.statSync(glob).isDirectory()
+  const folders = Array.from(new Set(globs.filter(isFolder)
+    .concat(globby.sync(globs.filter((glob) => !isFolder(glob)), {onlyDirectories: true})))).sort()
+  if (!folders.length) {
+    console.error('cannot find image folders matching %s', globs.join(' '))
+    process.exit(1)
+  }
+
+  const {regenerate, skipped} = planRegeneration(folders, {range})
+  formatSkipped(skipped).forEach((line) => console.log(line))
+  if (!regenerate.length) {
+    console.log('nothing to regenerate')
+    return
+  }
+  console.log('regenerating %d folder(s)', regenerate.length)
+  regenerate.forEach((image) => console.log('  %s: %s', image.folder, image.command))
+  if (args['--dry-run']) {
+    return
+  }
+
+  // "--diff" only prints the changes, otherwise the generator overwrites the folder
+  const flag = args['--diff'] ? '--diff' : '--force'
+  const failed = regenerate.filter((image) => {
+    console.log('\n%s', image.folder)
+    const generator = path.join(__dirname, image.generator)
+    const result = spawnSync(process.execPath, [generator, ...image.args, flag], {stdio: 'inherit'})
+    return result.status !== 0
+  })
+  if (failed.length) {
+    console.error('\nfailed to regenerate %s', failed.map((image) => image.folder).join(', '))
+    process.exit(1)
+  }
+  if (!args['--diff']) {
+    console.log('\nregenerated %d folder(s), update the CI config with "npm run build"', regenerate.length)
+  }
+}
+
+if (require.main === module) {
+  main()
+}
+
+module.exports = {
+  parseGenerateCommand,
+  recordedCommands,
+  planRegeneration,
+  formatSkipped
+}
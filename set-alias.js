@@ -0,0 +1,76 @@
+// prints or changes the floating tags like "cypress/base:latest" from "aliases.json"
+//   npm run alias
+// points the alias to another image, CI retags and pushes the alias from the master branch
+//   npm run alias -- base:latest 14.16.0
+// after CI has pushed the alias, record it, so CI does not push the alias again
+//   npm run alias -- base:latest --pushed
+const arg = require('arg')
+const {loadImages} = require('./generate-config')
+const {loadAliases, saveAliases, parseAliasName, aliasName, aliasProblems} = require('./image-aliases')
+
+const args = arg({
+  '--pushed': Boolean
+})
+const [name, image] = args._
+
+const aliases = loadAliases()
+
+if (!name) {
+  aliases.forEach((alias) => {
+    const state = alias.image === alias.pushed ? 'pushed' : 'not pushed yet'
+    console.log('%s => cypress/%s:%s (%s)', aliasName(alias), alias.kind, alias.image, state)
+  })
+  process.exit(0)
+}
+
+let parsed
+try {
+  parsed = parseAliasName(name)
+} catch (e) {
+  console.error(e.message)
+  process.exit(1)
+}
+
+let alias = aliases.find((candidate) => candidate.kind === parsed.kind && candidate.alias === parsed.alias)
+
+if (args['--pushed']) {
+  if (!alias) {
+    console.error('cannot find alias %s in aliases.json', name)
+    process.exit(1)
+  }
+  if (alias.image === alias.pushed) {
+    console.log('%s was pushed already for cypress/%s:%s', aliasName(alias), alias.kind, alias.image)
+    process.exit(0)
+  }
+  alias.pushed = alias.image
+} else if (!image) {
+  if (!alias) {
+    console.error('cannot find alias %s in aliases.json', name)
+    process.exit(1)
+  }
+  console.log('%s => cypress/%s:%s', aliasName(alias), alias.kind, alias.image)
+  process.exit(0)
+} else {
+  if (!alias) {
+    alias = {kind: parsed.kind, alias: parsed.alias, image, pushed: null}
+    aliases.push(alias)
+  }
+  alias.image = image
+  const problems = aliasProblems([alias], loadImages())
+  if (problems.length) {
+    problems.forEach((problem) => console.error(problem))
+    process.exit(1)
+  }
+}
+
+const filename = saveAliases(aliases)
+console.log('Saved %s', filename)
+
+console.log(`
+Please update CircleCI file and the README tables with
+
+    npm run build
+    npm run readme
+
+and commit the changed files.
+`)
@@ -0,0 +1,86 @@
+// prints or changes the status of an image, for example after the image
+// has been pushed to Docker Hub
+//   npm run status -- base/14.15.4
+//   npm run status -- base/14.15.4 published
+// the image can be given by its folder "base/14.15.4" or name "cypress/base:14.15.4"
+const path = require('path')
+const shelljs = require('shelljs')
+const {splitImageName} = require('./image-tag')
+const {loadManifest, writeManifest, isPrerelease} = require('./image-manifest')
+const {imageStatuses, allowedTransitions, isValidStatus, canTransition} = require('./image-status')
+
+const image = process.argv[2]
+const newStatus = process.argv[3]
+
+const printStatuses = () => {
+  Object.keys(imageStatuses).forEach((status) => {
+    console.error('  %s - %s', status, imageStatuses[status])
+  })
+}
+
+if (!image) {
+  console.error('expected image folder like "base/14.15.4" or image name like "cypress/base:14.15.4"')
+  process.exit(1)
+}
+
+// "cypress/base:14.15.4" => "base/14.15.4"
+const toFolder = (s) => {
+  if (!s.startsWith('cypress/')) {
+    return path.normalize(s)
+  }
+  const {name, tag} = splitImageName(s)
+  return path.join(path.basename(name), tag)
+}
+
+const imageFolder = toFolder(image)
+if (!shelljs.test('-d', imageFolder)) {
+  console.error('cannot find image folder "%s"', imageFolder)
+  process.exit(1)
+}
+
+const manifest = loadManifest(imageFolder)
+if (!newStatus) {
+  console.log('%s:%s has status "%s"', manifest.name, manifest.tag, manifest.status)
+  process.exit(0)
+}
+
+if (!isValidStatus(newStatus)) {
+  console.error('unknown status "%s", expected one of', newStatus)
+  printStatuses()
+  process.exit(1)
+}
+
+if (manifest.status === newStatus) {
+  console.log('%s:%s already has status "%s"', manifest.name, manifest.tag, newStatus)
+  process.exit(0)
+}
+
+if (!canTransition(manifest.status, newStatus)) {
+  const allowed = allowedTransitions[manifest.status]
+  console.error('cannot change status of %s:%s from "%s" to "%s"',
+    manifest.name, manifest.tag, manifest.status, newStatus)
+  if (allowed.length) {
+    console.error('it can only change to %s', allowed.map((s) => `"${s}"`).join(' or '))
+  } else {
+    console.error('"%s" is the final status', manifest.status)
+  }
+  process.exit(1)
+}
+
+// the pre-release Cypress images are only built and tested
+if (isPrerelease(manifest) && newStatus !== 'draft') {
+  console.error('%s:%s has pre-release Cypress %s and should stay "draft"', manifest.name, manifest.tag, manifest.cypress)
+  process.exit(1)
+}
+
+manifest.status = newStatus
+const manifestFilename = writeManifest(imageFolder, manifest)
+console.log('Saved %s', manifestFilename)
+
+console.log(`
+Please update CircleCI file with
+
+    npm run build
+
+and commit the changed files.
+`)
@@ -0,0 +1,482 @@
+// @ts-check
+// the checks CI runs against every built image, defined as data.
+// Every scenario belongs to an image kind and turns into one or more CI steps.
+// An image runs the scenarios enabled by default for its kind, its manifest
+// can turn a scenario off, turn an optional scenario on or change its parameters
+//   "test": {"scenarios": {"node-version": false, "kitchensink": {"minPassing": 50}, "plugins": true}}
+// See "selectScenarios" and "scenarioSteps"
+const {isStrictSemver} = require('./utils')
+const {platformBrowsers} = require('./platforms')
+
+/**
+ * @typedef {object} ScenarioContext
+ * @property {import('./image-parents').ImageFolder} imageAndTag
+ * @property {string} image Docker image to test like "cypress/base:12.18.3"
+ * @property {string} folder Image folder with the Dockerfile like "base/12.18.3"
+ * @property {string} platform Docker platform the image was loaded for like "linux/amd64"
+ * @property {(flags: string) => string} [buildImage] Forms the command building the image folder
+ *  with "docker buildx", the other images use "docker build"
+ */
+
+/**
+ * @typedef {{[name: string]: string|number|boolean}} ScenarioParams
+ */
+
+/**
+ * @typedef {object} TestScenario
+ * @property {string} id Name used in the image manifest like "kitchensink"
+ * @property {import('./image-tag').ImageKind} kind The image kind the scenario tests
+ * @property {string} description
+ * @property {ScenarioParams} params Default parameters, the manifest can override them
+ * @property {boolean|((context: ScenarioContext) => boolean)} enabled Does the image run the scenario
+ *  unless its manifest says otherwise
+ * @property {(context: ScenarioContext, params: ScenarioParams) => import('./ci-jobs').CiStep[]} steps
+ */
+
+/**
+ * The manifest value of a scenario: false turns it off, true turns it on
+ * with the default parameters, an object turns it on with these parameters
+ * @typedef {boolean|ScenarioParams} ScenarioSetting
+ */
+
+/**
+ * Checks the program inside the image prints the expected version
+ * @param {string} image Docker image to run
+ * @param {string} program Like "google-chrome"
+ * @param {string} title Like "Chrome"
+ * @param {string} expected The start of the printed version, like "Google Chrome 87"
+ * @returns {import('./ci-jobs').CiStep}
+ */
+const versionCheck = (image, program, title, expected) => ({
+  name: `confirm image has ${expected}`,
+  // do not run Docker in the interactive mode - adds control characters!
+  command: `version=$(docker run ${image} ${program} --version)
+case "$version" in
+  "${expected}"*)
+    echo "Image has the expected ${expected}"
+    echo "found $version"
+    ;;
+  *)
+    echo "Problem: image has unexpected ${title} version"
+    echo "Expected ${expected} and got $version"
+    exit 1
+    ;;
+esac`
+})
+
+/**
+ * Builds a test image FROM the given image using the Dockerfile lines
+ * @param {string} testImage Like "cypress/test"
+ * @param {string} image
+ * @param {string[]} lines
+ */
+const dockerBuildCommand = (testImage, image, lines) =>
+  [`docker build -t ${testImage} -<<EOF`, `FROM ${image}`].concat(lines, 'EOF').join('\n')
+
+// the browsers and the programs printing their versions inside the image
+const browsers = [
+  {key: 'chrome', title: 'Chrome', program: 'google-chrome', fullVersion: (version) => `Google Chrome ${version}`},
+  {key: 'firefox', title: 'Firefox', program: 'firefox', fullVersion: (version) => `Mozilla Firefox ${version}`},
+  {key: 'edge', title: 'Edge', program: 'edge', fullVersion: (version) => `Microsoft Edge ${version}`}
+]
+
+// the browsers installed instead of the browsers without a build for the platform,
+// their versions come from the operating system packages
+const replacementBrowsers = {
+  chromium: {key: 'chromium', title: 'Chromium', program: 'chromium', fullVersion: () => 'Chromium'}
+}
+
+/**
+ * Lists the browsers installed in the browsers image on the context platform
+ * @param {ScenarioContext} context
+ */
+const imageBrowsers = ({imageAndTag, platform}) => {
+  // full versions like "87.0.4280.66" from the image manifest
+  // or just the major "87" from the folder name "nodeX.Y.Z-chrome87..."
+  const inImage = browsers.filter((browser) => imageAndTag.manifest.browsers[browser.key])
+  if (!inImage.length) {
+    throw new Error(`Cannot find any browsers in image "${imageAndTag.tag}"`)
+  }
+  return platformBrowsers(platform, inImage.map((browser) => browser.key)).map(({browser, installed}) => {
+    if (installed !== browser) {
+      return Object.assign({version: replacementBrowsers[installed].fullVersion()}, replacementBrowsers[installed])
+    }
+    const known = browsers.find((candidate) => candidate.key === browser)
+    return Object.assign({version: known.fullVersion(imageAndTag.manifest.browsers[browser])}, known)
+  })
+}
+
+/**
+ * Runs Cypress in every browser of the browsers image
+ * @param {ScenarioContext} context
+ * @param {string} testImage
+ * @returns {import('./ci-jobs').CiStep[]}
+ */
+const runEachBrowser = (context, testImage) => imageBrowsers(context).map((browser) => ({
+  name: `Test ${browser.version}`,
+  noOutputTimeout: 1,
+  command: `docker run ${testImage} ./node_modules/.bin/cypress run --browser ${browser.key}`
+}))
+
+/**
+ * Appends the same command running Chrome to the command running Electron in the included image,
+ * or its replacement like Chromium if Chrome has no build for the platform
+ * @param {ScenarioContext} context
+ * @param {string} command
+ */
+const withChrome = ({platform}, command) => {
+  const [chrome] = platformBrowsers(platform, ['chrome'])
+  if (!chrome) {
+    return command
+  }
+  const title = chrome.installed === 'chrome' ? 'Chrome' : replacementBrowsers[chrome.installed].title
+  return `${command}
+
+echo "Testing using ${title} browser"
+${command} --browser ${chrome.installed}`
+}
+
+/**
+ * Runs the included image as its non-root user and checks who owns the files it creates in the mounted folder
+ * @param {ScenarioContext} context
+ * @returns {import('./ci-jobs').CiStep}
+ */
+const includedUserTest = ({imageAndTag, image, folder, buildImage}) => {
+  const {user, cypress} = imageAndTag.manifest
+  const mappedArgs = '--build-arg USER_ID=$(id -u) --build-arg GROUP_ID=$(id -g)'
+  const lines = user === 'mapped' ? [
+    'echo "Building the image mapped to the current user $(id -u):$(id -g)"',
+    ...(buildImage ? [buildImage(`${mappedArgs} -t cypress/test-mapped`)] : [
+      `docker build ${mappedArgs} \\`,
+      `  -t cypress/test-mapped ${folder}`
+    ]),
+    'IMAGE=cypress/test-mapped'
+  ] : [
+    `IMAGE=${image}`
+  ]
+  lines.push(
+    'EXPECTED_OWNER="$(docker run --entrypoint id $IMAGE -u):$(docker run --entrypoint id $IMAGE -g)"',
+    'echo "Image $IMAGE runs as $(docker run --entrypoint whoami $IMAGE) with ids $EXPECTED_OWNER"',
+    'if [ "$EXPECTED_OWNER" = "0:0" ]; then',
+    '  echo "Problem: image should not run as root user"',
+    '  exit 1',
+    'fi',
+    '',
+    'mkdir /tmp/test-user',
+    'cd /tmp/test-user',
+    `npx @bahmutov/cly init --cypress-version ${cypress}`
+  )
+  if (user !== 'mapped') {
+    lines.push(
+      `# the user "${user}" needs to write into the mounted folder`,
+      'chmod -R a+w .'
+    )
+  }
+  lines.push(
+    'docker run -v $PWD:/e2e -w /e2e $IMAGE',
+    '',
+    '# the video is a new file created by Cypress inside the container',
+    'OWNER=$(stat -c \'%u:%g\' cypress/videos/spec.js.mp4)',
+    'if [ "$OWNER" = "$EXPECTED_OWNER" ]; then',
+    '  echo "Video file is owned by $OWNER as expected"',
+    'else',
+    '  echo "Problem: video file is owned by $OWNER instead of $EXPECTED_OWNER"',
+    '  exit 1',
+    'fi'
+  )
+  return {
+    name: `Testing as ${user} user`,
+    noOutputTimeout: 3,
+    command: lines.join('\n')
+  }
+}
+
+/**
+ * Checks the image labels from "docker inspect" against the image and the tools inside it.
+ * The generators turn it on for the new images, the older images have no labels
+ * @param {import('./image-tag').ImageKind} kind
+ * @returns {TestScenario}
+ */
+const labelsScenario = (kind) => ({
+  id: 'labels',
+  kind,
+  description: 'the image labels match the image name and the versions of the tools inside it',
+  params: {},
+  enabled: false,
+  // the checker runs inside the image using its Node, see "check-image-versions.js"
+  steps: ({image}) => [{
+    name: 'Check labels',
+    command: `docker inspect --format '{{json .Config.Labels}}' ${image} > /tmp/image-labels.json
+docker run --entrypoint node \\
+  -v $PWD/check-image-versions.js:/tmp/check-image-versions.js:ro \\
+  -v /tmp/image-labels.json:/tmp/image-labels.json:ro \\
+  ${image} /tmp/check-image-versions.js --labels /tmp/image-labels.json ${image}`
+  }]
+})
+
+/**
+ * All test scenarios, the steps of an image follow the order of this list
+ * @type {TestScenario[]}
+ */
+const scenarios = [{
+  id: 'node-version',
+  kind: 'base',
+  description: 'the image has the Node version from the manifest',
+  params: {},
+  // the custom Node builds do not print the strict version
+  enabled: ({imageAndTag}) => Boolean(imageAndTag.manifest.node && isStrictSemver(imageAndTag.manifest.node)),
+  steps: ({imageAndTag, image}) => {
+    const nodeVersion = `v${imageAndTag.manifest.node}`
+    return [{
+      name: `confirm image has Node ${nodeVersion}`,
+      command: `version=$(docker run ${image} node --version)
+if [ "$version" = "${nodeVersion}" ]; then
+  echo "Base image has the expected version of Node ${nodeVersion}";
+else
+  echo "Problem: base image has unexpected Node version"
+  echo "Expected ${nodeVersion} and got $version"
+  exit 1
+fi`
+    }]
+  }
+}, {
+  id: 'cly-init',
+  kind: 'base',
+  description: 'installs Cypress, runs the project scaffolded by "cly init" in Electron and expects the passing tests',
+  params: {passing: 1},
+  enabled: true,
+  steps: ({image}, {passing}) => [{
+    name: `test image ${image}`,
+    noOutputTimeout: 3,
+    command: dockerBuildCommand('cypress/test', image, [
+      'RUN echo "current user: $(whoami)"',
+      'ENV CI=1',
+      'RUN npm init --yes',
+      'RUN npm install --save-dev cypress cypress-expect',
+      'RUN ./node_modules/.bin/cypress verify',
+      'RUN npx @bahmutov/cly init',
+      '# run Cypress by itself',
+      'RUN ./node_modules/.bin/cypress run',
+      '# run Cypress using module API and confirm number of passing tests',
+      `RUN ./node_modules/.bin/cypress-expect run --passing ${passing}`
+    ])
+  }]
+}, {
+  id: 'kitchensink',
+  kind: 'base',
+  description: 'installs Cypress, runs the scaffolded Kitchensink specs and expects the minimum number of passing tests',
+  params: {minPassing: 100},
+  enabled: true,
+  steps: ({image}, {minPassing}) => [{
+    name: `test image ${image} using Kitchensink`,
+    noOutputTimeout: 3,
+    command: dockerBuildCommand('cypress/test-kitchensink', image, [
+      'RUN echo "current user: $(whoami)"',
+      'ENV CI=1',
+      'ENV CYPRESS_INTERNAL_FORCE_SCAFFOLD=1',
+      'RUN npm init --yes',
+      'RUN npm install --save-dev cypress cypress-expect',
+      'RUN ./node_modules/.bin/cypress verify',
+      'RUN echo \'{}\' > cypress.json',
+      '# run Cypress and confirm minimum number of passing tets',
+      `RUN ./node_modules/.bin/cypress-expect run --min-passing ${minPassing}`
+    ])
+  }]
+}, {
+  id: 'browser-versions',
+  kind: 'browsers',
+  description: 'every browser prints the version from the manifest',
+  params: {},
+  enabled: true,
+  steps: (context) => imageBrowsers(context)
+    .map((browser) => versionCheck(context.image, browser.program, browser.title, browser.version))
+}, {
+  id: 'cly-init',
+  kind: 'browsers',
+  description: 'installs Cypress and runs the project scaffolded by "cly init" in Electron and every browser',
+  params: {},
+  enabled: true,
+  steps: (context) => [{
+    name: `test image ${context.image}`,
+    noOutputTimeout: 3,
+    command: dockerBuildCommand('cypress/test', context.image, [
+      'RUN echo "current user: $(whoami)"',
+      'ENV CI=1',
+      'RUN npm init --yes',
+      'RUN npm install --save-dev cypress',
+      'RUN ./node_modules/.bin/cypress verify',
+      'RUN npx @bahmutov/cly init'
+    ])
+  }, {
+    name: 'Test built-in Electron browser',
+    noOutputTimeout: 1,
+    command: 'docker run cypress/test ./node_modules/.bin/cypress run'
+  }].concat(runEachBrowser(context, 'cypress/test'))
+}, {
+  id: 'kitchensink',
+  kind: 'browsers',
+  description: 'installs Cypress and runs the scaffolded Kitchensink specs in every browser',
+  params: {},
+  enabled: true,
+  steps: (context) => [{
+    name: `scaffold image ${context.image} using Kitchensink`,
+    noOutputTimeout: 3,
+    command: dockerBuildCommand('cypress/test-kitchensink', context.image, [
+      'RUN echo "current user: $(whoami)"',
+      'ENV CI=1',
+      'ENV CYPRESS_INTERNAL_FORCE_SCAFFOLD=1',
+      'RUN npm init --yes',
+      'RUN npm install --save-dev cypress',
+      'RUN ./node_modules/.bin/cypress verify',
+      'RUN echo \'{}\' > cypress.json'
+    ])
+  }].concat(runEachBrowser(context, 'cypress/test-kitchensink'))
+}, {
+  id: 'cypress-info',
+  kind: 'included',
+  description: 'prints the versions and the information of the included Cypress',
+  params: {},
+  enabled: true,
+  steps: ({image}) => [{
+    name: 'Print versions',
+    command: `docker run --entrypoint cypress ${image} version`
+  }, {
+    name: 'Print info',
+    command: `docker run --entrypoint cypress ${image} info`
+  }]
+}, {
+  id: 'node-version',
+  kind: 'included',
+  description: 'the system Node matches the manifest and the major version of the Node bundled inside Cypress, ' +
+    'Cypress and the browsers match the manifest',
+  params: {},
+  enabled: true,
+  // the checker runs inside the image using its Node, see "check-image-versions.js"
+  steps: ({image, folder}) => [{
+    name: 'Check versions',
+    command: `docker run --entrypoint node \\
+  -v $PWD/check-image-versions.js:/tmp/check-image-versions.js:ro \\
+  -v $PWD/${folder}/image.json:/tmp/image.json:ro \\
+  ${image} /tmp/check-image-versions.js /tmp/image.json`
+  }]
+}, {
+  id: 'cly-init',
+  kind: 'included',
+  description: 'runs the project scaffolded by "cly init" in Electron and Chrome',
+  params: {},
+  enabled: true,
+  steps: (context) => [{
+    name: 'New test project and testing',
+    noOutputTimeout: 3,
+    command: `node --version
+mkdir /tmp/test
+cd /tmp/test
+echo "Initializing test project"
+npx @bahmutov/cly init --cypress-version ${context.imageAndTag.manifest.cypress}
+# the images running as non-root user need to write into the mounted folder
+chmod -R a+w .
+
+echo "Testing using Electron browser"
+${withChrome(context, `docker run -v $PWD:/e2e -w /e2e ${context.image}`)}`
+  }]
+}, {
+  id: 'kitchensink',
+  kind: 'included',
+  description: 'runs the scaffolded Kitchensink specs in Electron and Chrome',
+  params: {},
+  enabled: true,
+  steps: (context) => [{
+    name: 'Testing Kitchensink',
+    noOutputTimeout: 3,
+    command: `node --version
+mkdir /tmp/test-kitchensink
+cd /tmp/test-kitchensink
+
+npm init -y
+echo '{}' > cypress.json
+# the images running as non-root user need to write into the mounted folder
+chmod -R a+w .
+
+echo "Testing using Electron browser"
+${withChrome(context, `docker run -v $PWD:/e2e -w /e2e -e CYPRESS_INTERNAL_FORCE_SCAFFOLD=1 ${context.image}`)}`
+  }]
+}, {
+  id: 'non-root-user',
+  kind: 'included',
+  description: 'runs as the non-root user and creates the files in the mounted folder owned by that user',
+  params: {},
+  enabled: ({imageAndTag}) => imageAndTag.manifest.user !== 'root',
+  steps: (context) => [includedUserTest(context)]
+}, {
+  id: 'plugins',
+  kind: 'included',
+  description: 'runs the example project with the locally installed plugins',
+  params: {folder: 'examples/included-with-plugins/src'},
+  enabled: false,
+  steps: ({image}, {folder}) => [{
+    name: `Testing with plugins from ${folder}`,
+    noOutputTimeout: 3,
+    command: `rm -rf /tmp/test-plugins
+cp -r ${folder} /tmp/test-plugins
+cd /tmp/test-plugins
+npm install
+# the images running as non-root user need to write into the mounted folder
+chmod -R a+w .
+docker run -v $PWD:/e2e -w /e2e ${image}`
+  }]
+}, labelsScenario('base'), labelsScenario('browsers'), labelsScenario('included')]
+
+/**
+ * Returns the scenario ids of the image kind
+ * @param {import('./image-tag').ImageKind} kind
+ */
+const scenarioIds = (kind) => scenarios.filter((scenario) => scenario.kind === kind).map((scenario) => scenario.id)
+
+/**
+ * Returns the scenarios the image runs with their parameters.
+ * Throws an error if the manifest lists a scenario unknown for the image kind
+ * @param {ScenarioContext} context
+ * @returns {{scenario: TestScenario, params: ScenarioParams}[]}
+ */
+const selectScenarios = (context) => {
+  const {imageAndTag} = context
+  /** @type {{[id: string]: ScenarioSetting}} */
+  const settings = imageAndTag.manifest.test.scenarios || {}
+  const known = scenarioIds(imageAndTag.name)
+  Object.keys(settings).forEach((id) => {
+    if (!known.includes(id)) {
+      throw new Error(`Image ${imageAndTag.name}/${imageAndTag.tag} has unknown test scenario "${id}", ` +
+        `expected one of ${known.join(', ')}`)
+    }
+  })
+
+  return scenarios
+    .filter((scenario) => scenario.kind === imageAndTag.name)
+    .filter((scenario) => {
+      const setting = settings[scenario.id]
+      if (setting !== undefined) {
+        return setting !== false
+      }
+      return typeof scenario.enabled === 'function' ? scenario.enabled(context) : scenario.enabled
+    })
+    .map((scenario) => {
+      const setting = settings[scenario.id]
+      const params = typeof setting === 'object' ? {...scenario.params, ...setting} : scenario.params
+      return {scenario, params}
+    })
+}
+
+/**
+ * Forms the CI steps of all scenarios the image runs
+ * @param {ScenarioContext} context
+ * @returns {import('./ci-jobs').CiStep[]}
+ */
+const scenarioSteps = (context) => selectScenarios(context)
+  .reduce((steps, {scenario, params}) => steps.concat(scenario.steps(context, params)), [])
+
+module.exports = {
+  scenarios,
+  scenarioIds,
+  selectScenarios,
+  scenarioSteps
+}
@@ -0,0 +1,92 @@
+const assert = require('assert')
+const path = require('path')
+const {auditImage, formatReport} = require('../../audit')
+
+const folder = (name) => path.join(__dirname, 'fixtures', 'audit', name)
+
+const checks = (problems) => problems.map((problem) => `${problem.check}: ${problem.message}`)
+
+describe('audit', () => {
+  context('auditImage', () => {
+    it('checks Node version against FROM image', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('base/14.16.0'))), [
+        'node: tag has Node 14.16.0, but the Dockerfile is FROM node:14.15.0-buster'
+      ])
+    })
+
+    it('passes the browsers image matching its tag', () => {
+      assert.deepStrictEqual(auditImage(folder('browsers/node14.16.0-chrome89-ff86')), [])
+    })
+
+    it('counts the browsers of the parent browsers image', () => {
+      assert.deepStrictEqual(auditImage(folder('browsers/node14.16.0-chrome89-ff86-edge91')), [])
+    })
+
+    it('checks the browser versions against the tag', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('browsers/node14.16.0-chrome90'))), [
+        'chrome: tag has Chrome 90, but the Dockerfile installs Chrome 89.0.4389.72',
+        'firefox: Dockerfile installs Firefox, but the tag does not have it'
+      ])
+    })
+
+    it('checks the browser versions of the new images against the catalog', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('browsers/node14.16.0-chrome87'))), [
+        'catalog: Dockerfile installs Chrome 87.0.4280.60, but the browser catalog has 87.0.4280.66'
+      ])
+    })
+
+    it('checks Cypress version against the tag', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('included/6.9.0'))), [
+        'cypress: tag has Cypress 6.9.0, but the Dockerfile installs cypress@6.8.0'
+      ])
+    })
+
+    it('checks the FROM image tag of the included image', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('included/4.0.0'))), [
+        'from: FROM cypress/browsers:node13.6.0-chrome-80-ff72 has invalid tag: ' +
+          'Invalid image tag "node13.6.0-chrome-80-ff72": cannot find chrome major version in "chrome"'
+      ])
+    })
+
+    it('accepts the known parent image of the published included image', () => {
+      assert.deepStrictEqual(auditImage(path.join(__dirname, '..', '..', 'included/4.0.0')), [])
+    })
+
+    it('checks the FROM image of the included image has a folder', () => {
+      assert.deepStrictEqual(checks(auditImage(folder('included/6.8.0'))), [
+        'from: FROM cypress/browsers:node14.16.0-chrome88-ff85 is unknown, ' +
+          'there is no image folder browsers/node14.16.0-chrome88-ff85'
+      ])
+    })
+
+    it('passes the custom Cypress build installed from its NPM tarball', () => {
+      assert.deepStrictEqual(auditImage(folder('included/6.5.0-beta.cb0f32b')), [])
+    })
+  })
+
+  context('formatReport', () => {
+    it('groups the problems by folder', () => {
+      const report = formatReport({
+        audited: 2,
+        problems: [
+          {folder: 'included/6.9.0', check: 'cypress', message: 'first'},
+          {folder: 'base/14.16.0', check: 'node', message: 'second'},
+          {folder: 'included/6.9.0', check: 'from', message: 'third'}
+        ]
+      })
+      assert.strictEqual(report, [
+        'included/6.9.0',
+        '  ✗ cypress: first',
+        '  ✗ from: third',
+        'base/14.16.0',
+        '  ✗ node: second',
+        '',
+        'audited 2 image folders, found 3 problem(s)'
+      ].join('\n'))
+    })
+
+    it('reports no problems', () => {
+      assert.strictEqual(formatReport({audited: 5, problems: []}), 'audited 5 image folders, found 0 problem(s)')
+    })
+  })
+})
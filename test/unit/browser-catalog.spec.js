@@ -0,0 +1,120 @@
+const assert = require('assert')
+const path = require('path')
+const globby = require('globby')
+const {loadCatalog, resolveBrowserVersion, downloadUrl, edgePackage} = require('../../browser-catalog')
+const {updateCatalog, listChanges} = require('../../update-browser-catalog')
+const {parseTag} = require('../../image-tag')
+
+const mirror = path.join(__dirname, 'fixtures', 'browser-feeds')
+
+const catalog = {
+  chrome: {
+    download: 'https://dl.google.com/linux/chrome/deb/pool/main/g/google-chrome-stable/google-chrome-stable_${version}-1_amd64.deb',
+    majors: {
+      85: {version: '85.0.4183.121', released: '2020-08-25'},
+      87: {version: '87.0.4280.66', released: null}
+    }
+  },
+  firefox: {
+    download: 'https://download-installer.cdn.mozilla.net/pub/firefox/releases/${version}/linux-x86_64/en-US/firefox-${version}.tar.bz2',
+    majors: {
+      82: {version: '82.0', released: null}
+    }
+  },
+  edge: {
+    download: 'https://packages.microsoft.com/repos/edge',
+    package: 'microsoft-edge-${channel}=${version}-1',
+    majors: {}
+  }
+}
+
+describe('browser-catalog', () => {
+  context('resolveBrowserVersion', () => {
+    it('resolves major version to full version', () => {
+      assert.deepStrictEqual(resolveBrowserVersion(catalog, 'chrome', '85'), {version: '85.0.4183.121', released: '2020-08-25'})
+    })
+
+    it('allows full version missing from the catalog', () => {
+      assert.deepStrictEqual(resolveBrowserVersion(catalog, 'chrome', '86.0.4240.193'), {version: '86.0.4240.193', released: null})
+    })
+
+    it('throws on major version missing from the catalog', () => {
+      assert.throws(() => resolveBrowserVersion(catalog, 'chrome', '86'), /chrome 86 is not in the browser catalog/)
+    })
+
+    it('throws on invalid version', () => {
+      assert.throws(() => resolveBrowserVersion(catalog, 'firefox', 'latest'), /expected firefox version/)
+      assert.throws(() => resolveBrowserVersion(catalog, 'brave', '78'), /Unknown browser "brave"/)
+    })
+  })
+
+  it('forms download URLs', () => {
+    assert.strictEqual(downloadUrl(catalog, 'firefox', '82.0'),
+      'https://download-installer.cdn.mozilla.net/pub/firefox/releases/82.0/linux-x86_64/en-US/firefox-82.0.tar.bz2')
+    assert.strictEqual(edgePackage(catalog, 'dev', '${EDGE_VERSION}'), 'microsoft-edge-dev=${EDGE_VERSION}-1')
+  })
+
+  it('has full versions in the checked in catalog', () => {
+    const checkedIn = loadCatalog()
+    Object.keys(checkedIn).forEach((browser) => {
+      Object.keys(checkedIn[browser].majors).forEach((major) => {
+        const {version} = checkedIn[browser].majors[major]
+        assert.ok(version.startsWith(`${major}.`), `${browser} ${major} has version ${version}`)
+      })
+    })
+  })
+
+  it('has every browser major version of the browsers images', () => {
+    const checkedIn = loadCatalog()
+    const folders = globby.sync('browsers/*', {cwd: path.join(__dirname, '..', '..'), onlyDirectories: true})
+    assert.ok(folders.length, 'found no browsers image folders')
+    const missing = []
+    folders.forEach((folder) => {
+      const {browsers} = parseTag(path.basename(folder), 'browsers')
+      Object.keys(browsers)
+        .filter((browser) => checkedIn[browser] && !checkedIn[browser].majors[browsers[browser]])
+        .forEach((browser) => missing.push(`${folder} ${browser} ${browsers[browser]}`))
+    })
+    assert.deepStrictEqual(missing, [])
+  })
+
+  context('updateCatalog', () => {
+    it('takes the latest version of every major version from the mirror', async () => {
+      const updated = await updateCatalog(catalog, {mirror})
+      assert.deepStrictEqual(updated.chrome.majors, {
+        85: {version: '85.0.4183.121', released: '2020-08-25'},
+        87: {version: '87.0.4280.141', released: '2020-11-17'},
+        88: {version: '88.0.4324.96', released: '2021-01-19'}
+      })
+    })
+
+    it('skips Firefox beta and ESR releases', async () => {
+      const updated = await updateCatalog(catalog, {mirror, browsers: ['firefox']})
+      assert.deepStrictEqual(updated.firefox.majors, {
+        82: {version: '82.0.3', released: '2020-10-20'},
+        83: {version: '83.0', released: '2020-11-17'}
+      })
+    })
+
+    it('prefers the stable Edge channel', async () => {
+      const updated = await updateCatalog(catalog, {mirror, browsers: ['edge']})
+      assert.deepStrictEqual(updated.edge.majors, {
+        90: {version: '90.0.818.62', released: '2021-03-12', channel: 'stable'},
+        91: {version: '91.0.852.0', released: '2021-04-01', channel: 'dev'}
+      })
+    })
+
+    it('does not change the given catalog', async () => {
+      await updateCatalog(catalog, {mirror})
+      assert.strictEqual(catalog.chrome.majors[87].version, '87.0.4280.66')
+    })
+
+    it('lists the changes', async () => {
+      const updated = await updateCatalog(catalog, {mirror, browsers: ['chrome']})
+      assert.deepStrictEqual(listChanges(catalog, updated), [
+        'chrome 87: 87.0.4280.66 -> 87.0.4280.141',
+        'chrome 88: 88.0.4324.96 (new)'
+      ])
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const assert = require('assert')
+const path = require('path')
+const snapshot = require('snap-shot-it')
+const {expectedBrowsers, checkImage, checkBrowserVersions, hasProblems, formatTable} = require('../../check-browser-versions')
+
+const folder = (name) => path.join(__dirname, 'fixtures', 'audit', 'browsers', name)
+
+// the browser output inside cypress/browsers:node14.16.0-chrome89-ff86
+const outputs = {
+  'google-chrome --version': 'Google Chrome 89.0.4389.72 \n',
+  'firefox --version': 'Mozilla Firefox 86.0.1\n',
+  'edge --version': 'Microsoft Edge 91.0.852.0 dev\n'
+}
+
+/**
+ * Fake Docker runner with the given images pulled already, records the calls
+ * @param {{pulled?: string[], missing?: string[], output?: {[command: string]: string}}} [options]
+ */
+const fakeRunner = ({pulled = [], missing = [], output = outputs} = {}) => {
+  const calls = []
+  const local = new Set(pulled)
+  return {
+    calls,
+    hasImage: async (image) => local.has(image),
+    pull: async (image) => {
+      calls.push(`pull ${image}`)
+      if (missing.includes(image)) {
+        return false
+      }
+      local.add(image)
+      return true
+    },
+    run: async (image, command) => {
+      calls.push(`run ${image} ${command}`)
+      return output[command] || null
+    }
+  }
+}
+
+describe('check-browser-versions', () => {
+  context('expectedBrowsers', () => {
+    it('lists the browsers from the tag with the pinned versions', () => {
+      const browsers = expectedBrowsers(folder('node14.16.0-chrome89-ff86'))
+      assert.deepStrictEqual(browsers.map((check) => [check.browser, check.tag, check.pinned]), [
+        ['chrome', '89', '89.0.4389.72'],
+        ['firefox', '86', '86.0.1']
+      ])
+    })
+
+    it('lists the browsers pinned in the Dockerfile but missing from the tag', () => {
+      const browsers = expectedBrowsers(folder('node14.16.0-chrome90')).map((check) => check.browser)
+      assert.deepStrictEqual(browsers, ['chrome', 'firefox'])
+    })
+  })
+
+  context('checkImage', () => {
+    it('passes the browsers matching the tag and the Dockerfile', async () => {
+      const runner = fakeRunner()
+      const report = await checkImage(folder('node14.16.0-chrome89-ff86'), runner)
+      assert.strictEqual(report.skipped, null)
+      assert.deepStrictEqual(report.browsers.map((check) => check.found), ['89.0.4389.72', '86.0.1'])
+      assert.ok(!hasProblems([report]))
+      assert.deepStrictEqual(runner.calls, [
+        'pull cypress/browsers:node14.16.0-chrome89-ff86',
+        'run cypress/browsers:node14.16.0-chrome89-ff86 google-chrome --version',
+        'run cypress/browsers:node14.16.0-chrome89-ff86 firefox --version'
+      ])
+    })
+
+    it('finds the versions different from the tag and the Dockerfile', async () => {
+      const report = await checkImage(folder('node14.16.0-chrome90'), fakeRunner())
+      assert.deepStrictEqual(report.browsers.map((check) => check.problems), [
+        ['tag has chrome 90, but the image has 89.0.4389.72'],
+        []
+      ])
+      assert.ok(hasProblems([report]))
+    })
+
+    it('reports the browser that cannot print its version', async () => {
+      const report = await checkImage(folder('node14.16.0-chrome89-ff86'), fakeRunner({output: {}}))
+      assert.deepStrictEqual(report.browsers[0].problems, ['cannot find chrome version, "google-chrome --version" failed'])
+    })
+
+    it('does not pull the images in the local mode', async () => {
+      const runner = fakeRunner()
+      const report = await checkImage(folder('node14.16.0-chrome89-ff86'), runner, {local: true})
+      assert.strictEqual(report.skipped, 'not pulled')
+      assert.deepStrictEqual(runner.calls, [])
+      assert.ok(!hasProblems([report]))
+    })
+
+    it('fails the image that cannot be pulled', async () => {
+      const image = 'cypress/browsers:node14.16.0-chrome89-ff86'
+      const report = await checkImage(folder('node14.16.0-chrome89-ff86'), fakeRunner({missing: [image]}))
+      assert.strictEqual(report.skipped, null)
+      assert.strictEqual(report.failed, 'cannot pull the image')
+      assert.ok(hasProblems([report]))
+      assert.ok(formatTable([report]).endsWith('checked 0 of 1 browsers images, skipped 0, failed 1'))
+    })
+  })
+
+  context('checkBrowserVersions', () => {
+    const folders = ['node14.16.0-chrome89-ff86', 'node14.16.0-chrome89-ff86-edge91', 'node14.16.0-chrome90'].map(folder)
+
+    it('keeps the folder order with concurrent checks', async () => {
+      const reports = await checkBrowserVersions(folders, {runner: fakeRunner(), concurrency: 2})
+      assert.deepStrictEqual(reports.map((report) => path.basename(report.folder)), folders.map((name) => path.basename(name)))
+    })
+
+    it('forms the table with every browser and skipped image', async () => {
+      const runner = fakeRunner({pulled: ['cypress/browsers:node14.16.0-chrome90', 'cypress/browsers:node14.16.0-chrome89-ff86']})
+      const reports = await checkBrowserVersions(folders, {runner, local: true})
+      const table = formatTable(reports)
+      assert.ok(table.endsWith('checked 2 of 3 browsers images, skipped 1, failed 0'))
+      snapshot(table)
+    })
+  })
+})
@@ -0,0 +1,131 @@
+const assert = require('assert')
+const {normalizeVersion, findLabeledVersion, findVersions, checkVersions, checkLabels} = require('../../check-image-versions')
+const {imageLabels} = require('../../image-labels')
+
+// "cypress version" output of Cypress 6.9.0
+const cypressVersionOutput = [
+  'Cypress package version: 6.9.0',
+  'Cypress binary version: 6.9.0',
+  'Electron version: 11.3.0',
+  'Bundled Node version: ',
+  '12.18.3',
+  ''
+].join('\n')
+
+// versions found inside cypress/included:6.9.0
+const versions = {
+  node: '12.18.3',
+  cypress: '6.9.0',
+  cypressNode: '12.18.3',
+  electron: '11.3.0',
+  chrome: '89.0.4389.72',
+  firefox: '86.0.1',
+  edge: null,
+  npm: '7.6.3',
+  yarn: '1.22.10'
+}
+
+const manifest = {node: '12.18.3', cypress: '6.9.0', browsers: {chrome: '89.0.4389.72', firefox: '86'}}
+
+describe('check-image-versions', () => {
+  context('normalizeVersion', () => {
+    it('strips "v", whitespace and control characters', () => {
+      assert.strictEqual(normalizeVersion('v12.18.3\r\n'), '12.18.3')
+      assert.strictEqual(normalizeVersion('\u001b[0m12.18.3\u001b[K\n'), '12.18.3')
+    })
+
+    it('finds the browser version in the program output', () => {
+      assert.strictEqual(normalizeVersion('Google Chrome 89.0.4389.72 \n'), '89.0.4389.72')
+      assert.strictEqual(normalizeVersion('Microsoft Edge 88.0.673.0 dev\n'), '88.0.673.0')
+    })
+
+    it('returns null without a version', () => {
+      assert.strictEqual(normalizeVersion(''), null)
+      assert.strictEqual(normalizeVersion('command not found'), null)
+    })
+  })
+
+  it('finds the versions in "cypress version" output', () => {
+    assert.strictEqual(findLabeledVersion(cypressVersionOutput, 'Cypress package version'), '6.9.0')
+    assert.strictEqual(findLabeledVersion(cypressVersionOutput, 'Electron version'), '11.3.0')
+    assert.strictEqual(findLabeledVersion(cypressVersionOutput, 'Bundled Node version'), '12.18.3')
+  })
+
+  it('collects the versions of every tool', () => {
+    const outputs = {
+      'cypress version': cypressVersionOutput,
+      'node --version': 'v12.18.3\n',
+      'google-chrome --version': 'Google Chrome 89.0.4389.72 \n',
+      'firefox --version': 'Mozilla Firefox 86.0.1\n',
+      'npm --version': '7.6.3\n',
+      'yarn --version': '1.22.10\n'
+    }
+    assert.deepStrictEqual(findVersions((command) => outputs[command] || null), versions)
+  })
+
+  context('checkVersions', () => {
+    it('passes the matching versions', () => {
+      assert.deepStrictEqual(checkVersions(versions, manifest, 'x64'), [])
+    })
+
+    it('fails if the system Node does not match the major version of Node bundled inside Cypress', () => {
+      const problems = checkVersions({...versions, cypressNode: '14.16.0'}, manifest, 'x64')
+      assert.deepStrictEqual(problems, ['system Node 12.18.3 does not match the major version of Node 14.16.0 bundled inside Cypress'])
+    })
+
+    it('passes the system Node with the major version of Node bundled inside Cypress', () => {
+      assert.deepStrictEqual(checkVersions({...versions, cypressNode: '12.14.1'}, manifest, 'x64'), [])
+    })
+
+    it('fails on the missing browser', () => {
+      const problems = checkVersions({...versions, firefox: null}, manifest, 'x64')
+      assert.deepStrictEqual(problems, ['expected firefox 86, found none'])
+    })
+
+    it('skips the browsers on arm64', () => {
+      assert.deepStrictEqual(checkVersions({...versions, chrome: null, firefox: null}, manifest, 'arm64'), [])
+    })
+
+    it('expects the release version of the custom Cypress build', () => {
+      const custom = {...manifest, cypress: '6.9.0-beta.cb0f32b', cypressBuild: {}}
+      assert.deepStrictEqual(checkVersions(versions, custom, 'x64'), [])
+    })
+  })
+
+  context('checkLabels', () => {
+    const image = 'cypress/included:6.9.0'
+    // the labels of the built image, the build arguments are expanded
+    const labels = {
+      ...imageLabels({...manifest, name: 'cypress/included', tag: '6.9.0', npm: null, yarn: null},
+        'npm run add:included -- 6.9.0 cypress/browsers:node12.18.3-chrome89-ff86'),
+      'org.opencontainers.image.revision': '0123456789abcdef0123456789abcdef01234567',
+      'org.opencontainers.image.created': '2021-03-15T10:00:00Z'
+    }
+
+    it('passes the labels matching the image', () => {
+      assert.deepStrictEqual(checkLabels(versions, labels, image, 'x64'), [])
+    })
+
+    it('reports the labels that do not match', () => {
+      const wrong = {
+        ...labels,
+        'org.opencontainers.image.version': '6.8.0',
+        'org.opencontainers.image.revision': 'unknown',
+        'io.cypress.node': '12.18.4',
+        'io.cypress.npm': '6.14.10',
+        'io.cypress.chrome': '90'
+      }
+      assert.deepStrictEqual(checkLabels(versions, wrong, image, 'x64'), [
+        'label version is 6.8.0, expected 6.9.0',
+        'label revision is unknown, expected the commit SHA',
+        'label io.cypress.node is 12.18.4, found 12.18.3',
+        'label io.cypress.npm is 6.14.10, found 7.6.3',
+        'label io.cypress.chrome is 90, found 89.0.4389.72'
+      ])
+    })
+
+    it('reports the image without labels', () => {
+      assert.deepStrictEqual(checkLabels(versions, null, image), ['the image has no labels'])
+    })
+  })
+})
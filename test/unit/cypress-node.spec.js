@@ -0,0 +1,75 @@
+const assert = require('assert')
+const {manifestFromTag} = require('../../image-manifest')
+const {bundledNodeMajor, browsersImageProblems, pickBrowsersImage} = require('../../cypress-node')
+const {checkVersions} = require('../../check-image-versions')
+
+// browsers image descriptor without any files
+const browsersImage = (tag, status = 'published', platforms = ['linux/amd64']) => ({
+  tag,
+  manifest: {...manifestFromTag('browsers', tag), status, platforms}
+})
+
+describe('cypress-node', () => {
+  context('bundledNodeMajor', () => {
+    it('returns the Node major version bundled by Cypress', () => {
+      assert.strictEqual(bundledNodeMajor('3.4.1'), '8')
+      assert.strictEqual(bundledNodeMajor('3.5.0'), '12')
+      assert.strictEqual(bundledNodeMajor('6.4.0'), '12')
+      assert.strictEqual(bundledNodeMajor('7.0.0'), '14')
+      assert.strictEqual(bundledNodeMajor('10.0.0'), '16')
+    })
+
+    it('uses the release of the pre-release version', () => {
+      assert.strictEqual(bundledNodeMajor('6.5.0-beta.cb0f32b'), '12')
+      assert.strictEqual(bundledNodeMajor('7.0.0-beta.1'), '14')
+    })
+  })
+
+  context('browsersImageProblems', () => {
+    it('passes the image with the bundled Node, Chrome and Firefox', () => {
+      assert.deepStrictEqual(browsersImageProblems('6.4.0', browsersImage('node12.18.3-chrome87-ff82')), [])
+    })
+
+    it('explains the poor fit', () => {
+      assert.deepStrictEqual(browsersImageProblems('6.4.0', browsersImage('node14.16.0-chrome89', 'draft')), [
+        'Cypress 6.4.0 bundles Node 12, but the image has Node 14.16.0',
+        'the image has no firefox',
+        'the image is a draft that is never pushed'
+      ])
+    })
+
+    it('checks the platforms', () => {
+      assert.deepStrictEqual(browsersImageProblems('10.0.0', browsersImage('node16.14.0-chrome99-ff97'), ['linux/arm64']), [
+        'the image is not built for linux/arm64'
+      ])
+    })
+  })
+
+  context('pickBrowsersImage', () => {
+    const images = [
+      browsersImage('node12.14.1-chrome85-ff81'),
+      browsersImage('node12.18.3-chrome87-ff82'),
+      browsersImage('node12.18.3-chrome86-ff82'),
+      browsersImage('node12.19.0-chrome88', 'published'),
+      browsersImage('node12.20.0-chrome89-ff86', 'draft'),
+      browsersImage('node14.16.0-chrome89-ff86')
+    ]
+
+    it('picks the newest image with the bundled Node, Chrome and Firefox', () => {
+      assert.strictEqual(pickBrowsersImage('6.4.0', images).tag, 'node12.18.3-chrome87-ff82')
+      assert.strictEqual(pickBrowsersImage('7.0.0', images).tag, 'node14.16.0-chrome89-ff86')
+    })
+
+    it('picks the image passing the version check of the included image', () => {
+      const picked = pickBrowsersImage('6.4.0', images)
+      // the bundled Node 12.16.1 is older than Node 12.18.3 of the picked image
+      const versions = {node: picked.manifest.node, cypress: '6.4.0', cypressNode: '12.16.1'}
+      assert.deepStrictEqual(checkVersions(versions, {node: picked.manifest.node, cypress: '6.4.0'}, 'arm64'), [])
+    })
+
+    it('returns null without a fitting image', () => {
+      assert.strictEqual(pickBrowsersImage('9.0.0', images), null)
+      assert.strictEqual(pickBrowsersImage('6.4.0', images, ['linux/arm64']), null)
+    })
+  })
+})
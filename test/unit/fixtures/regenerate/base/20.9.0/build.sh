@@ -0,0 +1,4 @@
+# WARNING: this file was autogenerated by generate-base-image.js
+# using
+#   npm run add:base -- 20.9.0
+docker build -t cypress/base:20.9.0 .
@@ -0,0 +1,4 @@
+# WARNING: this file was autogenerated by generate-included-image.js
+# using
+#   npm run add:included -- 13.6.0 cypress/browsers:node18.12.0-chrome107
+docker build -t cypress/included:13.6.0 .
@@ -0,0 +1,35 @@
+const assert = require('assert')
+const {installDependencies} = require('../../os-packages')
+const {fontProfiles, defaultFontProfile, profileEnv} = require('../../font-profiles')
+
+describe('font-profiles', () => {
+  it('installs emoji and Chinese fonts by default', () => {
+    const run = installDependencies('buster', fontProfiles[defaultFontProfile].fonts)
+    assert.ok(run.includes('fonts-noto-color-emoji'))
+    assert.ok(run.includes('fonts-arphic-uming'))
+    assert.ok(!run.includes('fonts-thai-tlwg'))
+  })
+
+  it('installs no fonts with the minimal profile', () => {
+    const run = installDependencies('ubuntu20', fontProfiles.minimal.fonts)
+    assert.ok(run.includes('xvfb'))
+    assert.ok(!run.includes('fonts-'))
+  })
+
+  it('installs the international fonts with the full profile', () => {
+    const run = installDependencies('centos7', fontProfiles.full.fonts)
+    assert.ok(run.includes('wqy-zenhei-fonts'))
+    assert.ok(run.includes('lohit-devanagari-fonts'))
+  })
+
+  it('sets the locale and time zone for the operating system', () => {
+    assert.strictEqual(profileEnv('cjk', 'debian'), '')
+    assert.strictEqual(profileEnv('full', 'debian'), [
+      '# locale and time zone from the font profile',
+      'ENV LANG C.UTF-8',
+      'ENV LC_ALL C.UTF-8',
+      'ENV TZ UTC'
+    ].join('\n'))
+    assert.ok(profileEnv('full', 'rhel').includes('ENV LANG en_US.UTF-8'))
+  })
+})
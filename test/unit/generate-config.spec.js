@@ -0,0 +1,189 @@
+const assert = require('assert')
+const path = require('path')
+const snapshot = require('snap-shot-it')
+const {loadImages, generateConfig} = require('../../generate-config')
+const {manifestFromTag} = require('../../image-manifest')
+const {labelBuildArgs} = require('../../image-labels')
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name)
+
+// image descriptor without any files
+const image = (kind, tag, from, status = 'building', platforms = ['linux/amd64']) => ({
+  name: kind,
+  tag,
+  manifest: {...manifestFromTag(kind, tag), from, status, platforms},
+  from
+})
+
+describe('generate-config', () => {
+  context('loadImages', () => {
+    it('loads the image folders', () => {
+      const images = loadImages(fixture('chain'))
+      const folders = images.map((loaded) => `${loaded.name}/${loaded.tag}`)
+      assert.deepStrictEqual(folders, [
+        'base/12.18.3',
+        'base/14.16.0',
+        'browsers/node14.16.0-chrome89',
+        'included/6.9.0',
+        'included/6.9.0-mapped'
+      ])
+    })
+
+    it('takes FROM image from the Dockerfile', () => {
+      const [base] = loadImages(fixture('chain'))
+      // this folder has no manifest
+      assert.strictEqual(base.manifest.status, 'published')
+      assert.strictEqual(base.from, 'node:12.18.3-buster')
+    })
+  })
+
+  context('skipping images', () => {
+    it('does not build the published images', () => {
+      const yml = generateConfig(loadImages(fixture('published')))
+      assert.ok(!yml.includes('build-images'))
+      snapshot(yml)
+    })
+
+    it('builds but never pushes the draft images', () => {
+      const yml = generateConfig(loadImages(fixture('draft')))
+      assert.ok(yml.includes('browsers-node12-0-0-chrome89-ff86-edge91'))
+      assert.ok(!yml.includes('docker-push:\n          imageName: cypress/browsers'))
+      assert.ok(!yml.includes('base-12-0-0-libgbm'))
+      snapshot(yml)
+    })
+  })
+
+  context('pre-release Cypress', () => {
+    it('builds and tests, but never pushes the pre-release images', () => {
+      const images = [
+        image('browsers', 'node14.16.0-chrome89-ff86', 'cypress/base:14.16.0', 'published'),
+        image('included', '6.5.0-beta.cb0f32b', 'cypress/browsers:node14.16.0-chrome89-ff86')
+      ]
+      const yml = generateConfig(images)
+      assert.ok(yml.includes('building Docker image cypress/included:6.5.0-beta.cb0f32b'))
+      assert.ok(!yml.includes('docker-push:\n          imageName: cypress/included'))
+    })
+  })
+
+  context('build order', () => {
+    it('builds the parent images first', () => {
+      snapshot(generateConfig(loadImages(fixture('chain'))))
+    })
+
+    it('throws if the parent image has no folder', () => {
+      const images = [image('browsers', 'node14.16.0-chrome89', 'cypress/base:14.16.0')]
+      assert.throws(() => generateConfig(images), /there is no folder base\/14.16.0/)
+    })
+
+    it('throws if the images form a cycle', () => {
+      const images = [
+        image('base', '14.16.0', 'cypress/browsers:node14.16.0-chrome89'),
+        image('browsers', 'node14.16.0-chrome89', 'cypress/base:14.16.0')
+      ]
+      assert.throws(() => generateConfig(images), /Images form a cycle/)
+    })
+
+    it('does not change the given images', () => {
+      const images = [image('base', '14.16.0', 'node:14.16.0-buster')]
+      generateConfig(images)
+      assert.ok(!('parent' in images[0]))
+    })
+  })
+
+  context('CI providers', () => {
+    it('writes GitHub Actions workflow', () => {
+      snapshot(generateConfig(loadImages(fixture('chain')), {ci: 'github'}))
+    })
+
+    it('writes GitLab CI config', () => {
+      snapshot(generateConfig(loadImages(fixture('chain')), {ci: 'gitlab'}))
+    })
+
+    it('throws on unknown CI provider', () => {
+      assert.throws(() => generateConfig([], {ci: 'travis'}), /Unknown CI "travis"/)
+    })
+  })
+
+  context('multi-platform images', () => {
+    it('builds the images with buildx and tests every platform', () => {
+      const yml = generateConfig(loadImages(fixture('multi-platform')))
+      assert.ok(yml.includes(`docker buildx build ${labelBuildArgs} --platform linux/amd64,linux/arm64`))
+      assert.ok(yml.includes('--browser chromium'))
+      snapshot(yml)
+    })
+
+    it('writes GitHub Actions workflow', () => {
+      snapshot(generateConfig(loadImages(fixture('multi-platform')), {ci: 'github'}))
+    })
+
+    it('writes GitLab CI config', () => {
+      snapshot(generateConfig(loadImages(fixture('multi-platform')), {ci: 'gitlab'}))
+    })
+
+    it('throws if the parent image is not built for the platform', () => {
+      const images = [
+        image('base', '14.16.0', 'node:14.16.0-buster'),
+        image('browsers', 'node14.16.0-chrome89', 'cypress/base:14.16.0', 'building', ['linux/amd64', 'linux/arm64'])
+      ]
+      assert.throws(() => generateConfig(images), /is built for linux\/arm64, but its parent base\/14.16.0 is not/)
+    })
+  })
+
+  context('image aliases', () => {
+    const images = [
+      image('base', '14.16.0', 'node:14.16.0-buster'),
+      image('included', '6.9.0', 'cypress/browsers:node14.16.0-chrome89-ff86', 'published'),
+      image('included', '6.8.0', 'cypress/browsers:node14.16.0-chrome89-ff86', 'published')
+    ]
+    const aliases = [
+      {kind: 'base', alias: '14', image: '14.16.0', pushed: '14.15.4'},
+      {kind: 'included', alias: 'latest', image: '6.9.0', pushed: null},
+      {kind: 'included', alias: '6', image: '6.8.0', pushed: '6.8.0'}
+    ]
+
+    it('retags the aliases pointing to another image', () => {
+      const yml = generateConfig(images, {aliases})
+      assert.ok(yml.includes('alias-base-14:'))
+      assert.ok(yml.includes('alias-included-latest:'))
+      // the alias pushed for its image already
+      assert.ok(!yml.includes('alias-included-6'))
+      // the alias job waits for the job pushing its image
+      assert.ok(yml.includes('- alias-base-14:\n          requires:\n            - base-14-16-0\n'))
+      // the alias exists on Docker Hub, thus there is no check
+      const aliasJob = yml.slice(yml.indexOf('alias-base-14:'), yml.indexOf('workflows:'))
+      assert.ok(!aliasJob.includes('docker-image-not-found'))
+      snapshot(yml)
+    })
+
+    it('writes GitHub Actions workflow', () => {
+      snapshot(generateConfig(images, {ci: 'github', aliases}))
+    })
+
+    it('writes GitLab CI config', () => {
+      snapshot(generateConfig(images, {ci: 'gitlab', aliases}))
+    })
+
+    it('copies the multi-platform manifest', () => {
+      const multiPlatform = [image('base', '14.16.0', 'node:14.16.0-buster', 'published', ['linux/amd64', 'linux/arm64'])]
+      const yml = generateConfig(multiPlatform, {aliases: [{kind: 'base', alias: '14', image: '14.16.0', pushed: null}]})
+      assert.ok(yml.includes('docker buildx imagetools create -t cypress/base:14 cypress/base:14.16.0'))
+    })
+
+    it('throws if the alias points to an image that is never pushed', () => {
+      const draft = [image('base', '14.16.0', 'node:14.16.0-buster', 'draft')]
+      assert.throws(() => generateConfig(draft, {aliases: [aliases[0]]}),
+        /Alias cypress\/base:14 points to draft image base\/14.16.0 that is never pushed/)
+    })
+
+    it('throws if the alias image has no folder', () => {
+      assert.throws(() => generateConfig([], {aliases: [aliases[0]]}),
+        /Alias cypress\/base:14 points to base\/14.16.0, but there is no such image folder/)
+    })
+
+    it('throws if the alias is an image folder tag', () => {
+      const folders = images.concat(image('base', '14', 'node:14-buster', 'published'))
+      assert.throws(() => generateConfig(folders, {aliases: [aliases[0]]}),
+        /Alias cypress\/base:14 is also the tag of image folder base\/14/)
+    })
+  })
+})
@@ -0,0 +1,54 @@
+const assert = require('assert')
+const path = require('path')
+const {loadAliases, parseAliasName, changedAliases, aliasesOf} = require('../../image-aliases')
+
+describe('image-aliases', () => {
+  const aliases = [
+    {kind: 'base', alias: '14', image: '14.16.0', pushed: '14.15.4'},
+    {kind: 'base', alias: 'latest', image: '14.16.0', pushed: '14.16.0'},
+    {kind: 'included', alias: 'latest', image: '6.9.0', pushed: null}
+  ]
+
+  context('loadAliases', () => {
+    it('lists the aliases of every image kind', () => {
+      const loaded = loadAliases()
+      assert.ok(loaded.length > 0)
+      loaded.forEach((alias) => {
+        assert.ok(['base', 'browsers', 'included'].includes(alias.kind))
+        assert.strictEqual(typeof alias.image, 'string')
+      })
+    })
+
+    it('returns no aliases without the file', () => {
+      assert.deepStrictEqual(loadAliases(path.join(__dirname, 'no-such-aliases.json')), [])
+    })
+  })
+
+  context('parseAliasName', () => {
+    it('parses the alias with or without the repository', () => {
+      assert.deepStrictEqual(parseAliasName('base:latest'), {kind: 'base', alias: 'latest'})
+      assert.deepStrictEqual(parseAliasName('cypress/browsers:chrome-latest'), {kind: 'browsers', alias: 'chrome-latest'})
+    })
+
+    it('throws on unknown image kind', () => {
+      assert.throws(() => parseAliasName('factory:latest'), /Invalid alias "factory:latest"/)
+      assert.throws(() => parseAliasName('base'), /Invalid alias "base"/)
+    })
+  })
+
+  context('changedAliases', () => {
+    it('returns the aliases pointing to another image than pushed', () => {
+      assert.deepStrictEqual(changedAliases(aliases).map((alias) => `${alias.kind}:${alias.alias}`), [
+        'base:14',
+        'included:latest'
+      ])
+    })
+  })
+
+  context('aliasesOf', () => {
+    it('returns the aliases of the image', () => {
+      assert.deepStrictEqual(aliasesOf(aliases, 'base', '14.16.0'), ['14', 'latest'])
+      assert.deepStrictEqual(aliasesOf(aliases, 'base', '14.15.4'), [])
+    })
+  })
+})
@@ -0,0 +1,123 @@
+const assert = require('assert')
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const util = require('util')
+const {hashContent, findEditedFiles, mergeManifest, writeImageFolder} = require('../../image-files')
+const {manifestFromTag, readManifest, writeManifest} = require('../../image-manifest')
+
+const generated = [
+  {name: 'Dockerfile', content: 'FROM node:14.16.0-buster\n'},
+  {name: 'build.sh', content: 'docker build .\n', executable: true},
+  {name: 'image.lock.json', content: '{}\n', untracked: true}
+]
+
+const manifest = {...manifestFromTag('base', '14.16.0'), status: 'building', test: {scenarios: {labels: true}}}
+
+/**
+ * Calls the function and returns everything it printed
+ * @param {() => any} fn
+ */
+const captureOutput = (fn) => {
+  const lines = []
+  const saved = {log: console.log, warn: console.warn, write: process.stdout.write}
+  console.log = (...args) => lines.push(util.format(...args))
+  console.warn = console.log
+  // @ts-ignore
+  process.stdout.write = (text) => lines.push(text.replace(/\n$/, ''))
+  try {
+    fn()
+  } finally {
+    console.log = saved.log
+    console.warn = saved.warn
+    process.stdout.write = saved.write
+  }
+  return lines.join('\n')
+}
+
+describe('image-files', () => {
+  let root
+  let folder
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-files-'))
+    folder = path.join(root, 'base', '14.16.0')
+  })
+
+  afterEach(() => {
+    fs.rmdirSync(root, {recursive: true})
+  })
+
+  const write = (options, files = generated, image = manifest) =>
+    captureOutput(() => writeImageFolder(folder, files, image, options))
+
+  it('writes the files and their hashes into a new folder', () => {
+    write({})
+    assert.strictEqual(fs.readFileSync(path.join(folder, 'Dockerfile'), 'utf8'), generated[0].content)
+    assert.ok(fs.statSync(path.join(folder, 'build.sh')).mode & 0o100)
+    assert.deepStrictEqual(readManifest(folder).files, {
+      Dockerfile: hashContent(generated[0].content),
+      'build.sh': hashContent(generated[1].content)
+    })
+  })
+
+  it('only lists the files in the dry-run mode', () => {
+    const output = write({dryRun: true})
+    assert.ok(!fs.existsSync(folder))
+    assert.ok(output.includes(`would write ${path.join(folder, 'Dockerfile')} (new)`))
+    assert.ok(output.includes(`would write ${path.join(folder, 'image.json')} (new)`))
+  })
+
+  it('only prints the changes in the diff mode', () => {
+    write({})
+    const files = [{name: 'Dockerfile', content: 'FROM node:14.17.0-buster\n'}].concat(generated.slice(1))
+    const output = write({diff: true}, files)
+    assert.ok(output.includes('-FROM node:14.16.0-buster\n+FROM node:14.17.0-buster'))
+    assert.ok(!output.includes(`b/${path.join(folder, 'build.sh')}`))
+    assert.strictEqual(fs.readFileSync(path.join(folder, 'Dockerfile'), 'utf8'), generated[0].content)
+  })
+
+  it('refuses to overwrite the folder without --force', () => {
+    write({})
+    assert.throws(() => write({}), /exists already, pass --force to overwrite it/)
+  })
+
+  it('refuses to overwrite the published folder even with --force', () => {
+    write({})
+    writeManifest(folder, {...readManifest(folder), status: 'published'})
+    assert.throws(() => write({force: true}), /has status "published" and cannot be generated again/)
+  })
+
+  it('keeps the status and the test settings when overwriting with --force', () => {
+    write({})
+    const scenarios = {labels: false, 'node-version': false}
+    writeManifest(folder, {...readManifest(folder), status: 'draft', test: {scenarios}})
+    write({force: true}, generated, {...manifest, npm: '7.6.3'})
+    const written = readManifest(folder)
+    assert.strictEqual(written.status, 'draft')
+    assert.deepStrictEqual(written.test, {scenarios})
+    assert.strictEqual(written.npm, '7.6.3')
+  })
+
+  it('finds the files edited by hand after they were generated', () => {
+    write({})
+    fs.writeFileSync(path.join(folder, 'Dockerfile'), 'FROM node:14.16.0-buster\nRUN echo edited\n')
+    fs.writeFileSync(path.join(folder, 'image.lock.json'), '{"npm": "7.6.3"}\n')
+    assert.deepStrictEqual(findEditedFiles(folder), ['Dockerfile'])
+    const output = write({force: true})
+    assert.ok(output.includes(`${path.join(folder, 'Dockerfile')} was edited by hand after it was generated`))
+  })
+
+  context('mergeManifest', () => {
+    it('adds the generated scenarios to the existing ones', () => {
+      const current = {...manifest, test: {scenarios: {'node-version': false}}}
+      assert.deepStrictEqual(mergeManifest(current, manifest).test, {
+        scenarios: {labels: true, 'node-version': false}
+      })
+    })
+
+    it('uses the generated manifest for a new folder', () => {
+      assert.strictEqual(mergeManifest(null, manifest), manifest)
+    })
+  })
+})
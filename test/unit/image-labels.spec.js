@@ -0,0 +1,40 @@
+const assert = require('assert')
+const {manifestFromTag} = require('../../image-manifest')
+const {imageLabels, labelInstructions} = require('../../image-labels')
+
+describe('image-labels', () => {
+  const manifest = {...manifestFromTag('browsers', 'node14.16.0-chrome89-ff86'), npm: '6.14.11', yarn: null}
+  const command = 'npm run add:browsers -- cypress/base:14.16.0 --chrome 89.0.4389.72 --firefox 86.0'
+
+  it('labels the versions from the manifest', () => {
+    const labels = imageLabels(manifest, command)
+    assert.strictEqual(labels['org.opencontainers.image.title'], 'cypress/browsers')
+    assert.strictEqual(labels['org.opencontainers.image.version'], 'node14.16.0-chrome89-ff86')
+    assert.strictEqual(labels['io.cypress.node'], '14.16.0')
+    assert.strictEqual(labels['io.cypress.npm'], '6.14.11')
+    // installed using "@latest", the version is not known
+    assert.ok(!('io.cypress.yarn' in labels))
+    assert.strictEqual(labels['io.cypress.chrome'], '89')
+    assert.strictEqual(labels['io.cypress.generator.command'], command)
+    assert.ok(!('io.cypress.cypress' in labels))
+  })
+
+  it('expands only the build arguments', () => {
+    const text = labelInstructions({
+      'org.opencontainers.image.title': 'cypress/base',
+      'org.opencontainers.image.version': '14.16.0',
+      'org.opencontainers.image.revision': '${REVISION}',
+      'io.cypress.generator.command': 'npm run add:base -- 14.16.0 "$HOME"'
+    })
+    assert.strictEqual(text, [
+      '# image labels, see "docker inspect cypress/base:14.16.0"',
+      '# CI passes the commit and its date as the build arguments',
+      'ARG REVISION=unknown',
+      'ARG CREATED=unknown',
+      'LABEL org.opencontainers.image.title="cypress/base" \\',
+      '  org.opencontainers.image.version="14.16.0" \\',
+      '  org.opencontainers.image.revision="${REVISION}" \\',
+      '  io.cypress.generator.command="npm run add:base -- 14.16.0 \\"\\$HOME\\""'
+    ].join('\n'))
+  })
+})
@@ -0,0 +1,188 @@
+const assert = require('assert')
+const path = require('path')
+const {lockRequest, pinnedFrom, resolveLock, loadLock, lockChanges, lockProblems} = require('../../image-lock')
+const {parseAptPolicy, parseYumInfo, installDependencies} = require('../../os-packages')
+const {manifestFromTag} = require('../../image-manifest')
+
+const digest = `sha256:${'4f9b'.repeat(16)}`
+
+// "apt-cache policy" output for the given package versions
+const aptPolicy = (versions) => Object.keys(versions).map((name) => [
+  `${name}:`,
+  '  Installed: (none)',
+  `  Candidate: ${versions[name]}`,
+  '  Version table:',
+  `     ${versions[name]} 500`
+].join('\n')).join('\n')
+
+// answers the commands resolving the lock like Docker and NPM would
+const fakeRun = (packageOutput) => (command) => {
+  if (command === 'npm view npm version') {
+    return '7.6.3\n'
+  }
+  if (command === 'npm view yarn version') {
+    return '1.22.10\n'
+  }
+  if (command.startsWith('docker pull')) {
+    return 'Status: Image is up to date\n'
+  }
+  if (command.startsWith('docker inspect')) {
+    return `node@${digest}\n`
+  }
+  if (command.startsWith('docker run')) {
+    return packageOutput
+  }
+  return null
+}
+
+describe('image-lock', () => {
+  const request = {from: 'node:14.16.0-buster', packageManager: 'apt', packages: ['xvfb', 'libnss3']}
+
+  context('resolveLock', () => {
+    it('pins the FROM image, NPM, Yarn and the packages', () => {
+      const lock = resolveLock(request, fakeRun(aptPolicy({xvfb: '2:1.20.4-1+deb10u2', libnss3: '2:3.42.1-1+deb10u3'})))
+      assert.deepStrictEqual(lock, {
+        from: 'node:14.16.0-buster',
+        digest,
+        npm: '7.6.3',
+        yarn: '1.22.10',
+        packages: {libnss3: '2:3.42.1-1+deb10u3', xvfb: '2:1.20.4-1+deb10u2'}
+      })
+      assert.strictEqual(pinnedFrom(lock), `node:14.16.0-buster@${digest}`)
+    })
+
+    it('asks the package manager inside the pinned FROM image', () => {
+      const commands = []
+      const run = fakeRun(aptPolicy({xvfb: '1', libnss3: '2'}))
+      resolveLock(request, (command) => {
+        commands.push(command)
+        return run(command)
+      })
+      assert.ok(commands.includes(`docker run --rm node:14.16.0-buster@${digest} ` +
+        'sh -c "apt-get update > /dev/null && apt-cache policy xvfb libnss3"'))
+    })
+
+    it('pins only NPM and Yarn without the FROM image', () => {
+      const lock = resolveLock({from: null, packageManager: null, packages: []}, fakeRun(''))
+      assert.deepStrictEqual(lock, {from: null, digest: null, npm: '7.6.3', yarn: '1.22.10', packages: {}})
+    })
+
+    it('throws if a package has no version', () => {
+      assert.throws(() => resolveLock(request, fakeRun(aptPolicy({xvfb: '1', libnss3: '(none)'}))),
+        /Cannot find the versions of packages libnss3 in image node:14.16.0-buster/)
+    })
+
+    it('throws if a command fails', () => {
+      assert.throws(() => resolveLock(request, () => null), /command failed: npm view npm version/)
+    })
+  })
+
+  context('loadLock', () => {
+    const folder = path.join(__dirname, 'fixtures', 'no-such-image')
+
+    it('does not resolve the missing lock in the preview', () => {
+      const commands = []
+      const runCommand = (command) => {
+        commands.push(command)
+        return null
+      }
+      const log = console.log
+      console.log = () => {}
+      let lock
+      try {
+        lock = loadLock(folder, request, {preview: true, runCommand})
+      } finally {
+        console.log = log
+      }
+      assert.deepStrictEqual(commands, [])
+      assert.deepStrictEqual(lock, {
+        from: 'node:14.16.0-buster',
+        digest: '<to be resolved>',
+        npm: '<to be resolved>',
+        yarn: '<to be resolved>',
+        packages: {libnss3: '<to be resolved>', xvfb: '<to be resolved>'}
+      })
+    })
+  })
+
+  context('lockRequest', () => {
+    it('pins the FROM image and the OS packages of the base image', () => {
+      const manifest = {...manifestFromTag('base', '14.16.0'), from: `node:14.16.0-buster@${digest}`, os: 'buster', fonts: 'minimal'}
+      const {from, packageManager, packages} = lockRequest(manifest)
+      assert.strictEqual(from, 'node:14.16.0-buster')
+      assert.strictEqual(packageManager, 'apt')
+      assert.ok(packages.includes('xvfb'))
+      assert.ok(!packages.includes('fonts-noto-color-emoji'))
+    })
+
+    it('pins NPM and Yarn only of the included image', () => {
+      const manifest = manifestFromTag('included', '6.9.0')
+      assert.deepStrictEqual(lockRequest(manifest), {from: null, packageManager: null, packages: []})
+    })
+  })
+
+  context('lockProblems', () => {
+    const lock = {from: 'node:14.16.0-buster', digest, npm: '7.6.3', yarn: '1.22.10', packages: {xvfb: '1', libnss3: '2'}}
+
+    it('accepts the lock with every package', () => {
+      assert.deepStrictEqual(lockProblems(lock, request), [])
+    })
+
+    it('finds another FROM image and the missing packages', () => {
+      const other = {from: 'node:14.16.0-bullseye', packageManager: 'apt', packages: ['xvfb', 'fonts-noto-cjk']}
+      assert.deepStrictEqual(lockProblems(lock, other), [
+        'the lock pins FROM node:14.16.0-buster, but the image is FROM node:14.16.0-bullseye',
+        'the lock has no versions of packages fonts-noto-cjk'
+      ])
+    })
+  })
+
+  context('lockChanges', () => {
+    it('lists the changed versions', () => {
+      const before = {from: null, digest: null, npm: '7.6.3', yarn: '1.22.10', packages: {xvfb: '1', curl: '7'}}
+      const after = {...before, npm: '7.7.0', packages: {xvfb: '2', xauth: '1'}}
+      assert.deepStrictEqual(lockChanges(before, after), [
+        'npm 7.6.3 -> 7.7.0',
+        'curl 7 -> none',
+        'xauth none -> 1',
+        'xvfb 1 -> 2'
+      ])
+    })
+
+    it('finds nothing between the same locks', () => {
+      const lock = {from: 'node:14.16.0-buster', digest, npm: '7.6.3', yarn: '1.22.10', packages: {xvfb: '1'}}
+      assert.deepStrictEqual(lockChanges(lock, {...lock}), [])
+    })
+  })
+
+  context('package versions', () => {
+    it('parses apt-cache policy output', () => {
+      const output = aptPolicy({xvfb: '2:1.20.4-1+deb10u2'}) + '\nmissing:\n  Installed: (none)\n  Candidate: (none)\n'
+      assert.deepStrictEqual(parseAptPolicy(output), {xvfb: '2:1.20.4-1+deb10u2'})
+    })
+
+    it('parses yum info output, the available package wins', () => {
+      const output = [
+        'Installed Packages',
+        'Name        : curl',
+        'Version     : 7.29.0',
+        'Release     : 59.el7',
+        '',
+        'Available Packages',
+        'Name        : curl',
+        'Version     : 7.29.0',
+        'Release     : 59.el7_9.1',
+        ''
+      ].join('\n')
+      assert.deepStrictEqual(parseYumInfo(output), {curl: '7.29.0-59.el7_9.1'})
+    })
+
+    it('installs the pinned packages', () => {
+      const apt = installDependencies('buster', [], {xvfb: '2:1.20.4-1+deb10u2'})
+      assert.ok(apt.includes('  xvfb=2:1.20.4-1+deb10u2 \\\n'))
+      assert.ok(apt.includes('  xauth \\\n'))
+      const yum = installDependencies('centos7', [], {curl: '7.29.0-59.el7_9.1'})
+      assert.ok(yum.includes('  curl-7.29.0-59.el7_9.1 \\\n'))
+    })
+  })
+})
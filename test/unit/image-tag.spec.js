@@ -0,0 +1,85 @@
+const assert = require('assert')
+const {parseTag, formatTag, isCanonicalTag, splitImageName} = require('../../image-tag')
+
+describe('image-tag', () => {
+  context('parseTag', () => {
+    it('parses base image tag', () => {
+      assert.deepStrictEqual(parseTag('12.18.3'), {
+        os: null,
+        node: '12.18.3',
+        npm: null,
+        cypress: null,
+        browsers: {},
+        suffix: null
+      })
+    })
+
+    it('parses base image tag with operating system', () => {
+      const parsed = parseTag('ubuntu18-node12.14.1')
+      assert.strictEqual(parsed.os, 'ubuntu18')
+      assert.strictEqual(parsed.node, '12.14.1')
+    })
+
+    it('keeps unknown parts in the suffix', () => {
+      const parsed = parseTag('12.0.0-libgbm')
+      assert.strictEqual(parsed.node, '12.0.0')
+      assert.strictEqual(parsed.suffix, 'libgbm')
+    })
+
+    it('parses browsers image tag', () => {
+      const parsed = parseTag('node12.13.0-chrome78-ff70-brave78', 'browsers')
+      assert.strictEqual(parsed.node, '12.13.0')
+      assert.deepStrictEqual(parsed.browsers, {chrome: 78, firefox: 70, brave: 78})
+    })
+
+    it('parses NPM version in both forms', () => {
+      assert.strictEqual(parseTag('node8.9.3-npm6.10.1-chrome76-ff68', 'browsers').npm, '6.10.1')
+      assert.strictEqual(parseTag('node8.9.3-npm-6.10.1-chrome76-ff68', 'browsers').npm, '6.10.1')
+    })
+
+    it('parses included image tag', () => {
+      const parsed = parseTag('6.4.0', 'included')
+      assert.strictEqual(parsed.cypress, '6.4.0')
+      assert.strictEqual(parsed.suffix, null)
+    })
+
+    it('parses included image tag with user mode', () => {
+      const parsed = parseTag('6.4.0-mapped', 'included')
+      assert.strictEqual(parsed.cypress, '6.4.0')
+      assert.strictEqual(parsed.suffix, 'mapped')
+    })
+
+    it('throws on malformed tags', () => {
+      assert.throws(() => parseTag('node13.6.0-chrome-80-ff72', 'browsers'), /Invalid image tag/)
+      assert.throws(() => parseTag('latest', 'included'), /expected Cypress version/)
+      assert.throws(() => parseTag(''), /Missing image tag/)
+    })
+  })
+
+  context('formatTag', () => {
+    it('prefixes Node version only next to other parts', () => {
+      assert.strictEqual(formatTag({node: '12.18.3'}), '12.18.3')
+      assert.strictEqual(formatTag({os: 'ubuntu20', node: '14.16.0'}), 'ubuntu20-node14.16.0')
+      assert.strictEqual(formatTag({node: '12.18.3', browsers: {chrome: 87, firefox: 82}}), 'node12.18.3-chrome87-ff82')
+    })
+
+    it('forms included image tag', () => {
+      assert.strictEqual(formatTag({cypress: '6.4.0', suffix: 'node'}), '6.4.0-node')
+    })
+
+    it('finds tags that are not canonical', () => {
+      assert.ok(isCanonicalTag('node12.18.3-chrome87-ff82', 'browsers'))
+      assert.ok(!isCanonicalTag('node8.9.3-npm-6.10.1-chrome76-ff68', 'browsers'))
+    })
+  })
+
+  context('splitImageName', () => {
+    it('splits name and tag', () => {
+      assert.deepStrictEqual(splitImageName('cypress/base:12.18.3'), {name: 'cypress/base', tag: '12.18.3'})
+    })
+
+    it('uses "latest" tag by default', () => {
+      assert.deepStrictEqual(splitImageName('localhost:5000/base'), {name: 'localhost:5000/base', tag: 'latest'})
+    })
+  })
+})
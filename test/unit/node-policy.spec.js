@@ -0,0 +1,111 @@
+const assert = require('assert')
+const {nodeMajor, nodeEndOfLife, checkNodePolicy, isUnsupported, isNodeEol} = require('../../node-policy')
+const {deprecationNote, readEolDate} = require('../../generate-readme')
+
+const today = new Date('2021-03-15')
+
+describe('node-policy', () => {
+  it('finds the major version', () => {
+    assert.strictEqual(nodeMajor('14.16.0'), '14')
+    assert.strictEqual(nodeMajor('10.13'), '10')
+    assert.strictEqual(nodeMajor('8'), '8')
+    assert.strictEqual(nodeMajor(null), null)
+  })
+
+  it('finds the end-of-life date', () => {
+    assert.strictEqual(nodeEndOfLife('14.16.0'), '2023-04-30')
+    assert.strictEqual(nodeEndOfLife('0.12.0'), null)
+  })
+
+  context('checkNodePolicy', () => {
+    it('supports LTS versions', () => {
+      const policy = checkNodePolicy('14.16.0', {today})
+      assert.strictEqual(policy.status, 'supported')
+      assert.ok(!isUnsupported(policy))
+    })
+
+    it('warns about versions in maintenance', () => {
+      const policy = checkNodePolicy('10.24.0', {today})
+      assert.strictEqual(policy.status, 'maintenance')
+      assert.ok(!isUnsupported(policy))
+    })
+
+    it('refuses end-of-life versions', () => {
+      const policy = checkNodePolicy('8.16.0', {today})
+      assert.strictEqual(policy.status, 'eol')
+      assert.strictEqual(policy.message, 'Node 8 reached its end-of-life on 2019-12-31')
+      assert.ok(isUnsupported(policy))
+    })
+
+    it('refuses odd versions', () => {
+      const policy = checkNodePolicy('15.11.0', {today})
+      assert.strictEqual(policy.status, 'odd')
+      assert.ok(isUnsupported(policy))
+    })
+
+    it('warns about unknown versions', () => {
+      const policy = checkNodePolicy('99.0.0', {today})
+      assert.strictEqual(policy.status, 'unknown')
+      assert.ok(!isUnsupported(policy))
+    })
+  })
+
+  it('checks the recorded end-of-life date', () => {
+    assert.ok(isNodeEol('2019-12-31', today))
+    assert.ok(!isNodeEol('2023-04-30', today))
+    assert.ok(!isNodeEol(null, today))
+  })
+
+  context('deprecationNote', () => {
+    const image = (tag, node, nodeEol, os = 'buster', status = 'published') => ({
+      folder: `base/${tag}`,
+      manifest: {name: 'cypress/base', tag, node, nodeEol, os, status, user: 'root'}
+    })
+    const images = [
+      image('8.16.0', '8.16.0', '2019-12-31'),
+      image('12.18.3', '12.18.3', '2022-04-30'),
+      image('14.16.0', '14.16.0', '2023-04-30'),
+      image('ubuntu20-node14.16.0', '14.16.0', '2023-04-30', 'ubuntu20')
+    ]
+
+    it('points the end-of-life image to the newest supported image', () => {
+      assert.strictEqual(deprecationNote(images[0], images, today),
+        '⚠️ deprecated: Node 8 end-of-life 2019-12-31, use [cypress/base:14.16.0](14.16.0)')
+    })
+
+    it('does not mark the supported images', () => {
+      assert.strictEqual(deprecationNote(images[1], images, today), '')
+    })
+
+    it('marks the images with deprecated status', () => {
+      const deprecated = image('12.0.0', '12.0.0', '2022-04-30', 'buster', 'deprecated')
+      assert.strictEqual(deprecationNote(deprecated, images, today),
+        '⚠️ deprecated, use [cypress/base:14.16.0](14.16.0)')
+    })
+
+    it('has no replacement if every image is deprecated', () => {
+      assert.strictEqual(deprecationNote(images[2], images, new Date('2023-05-01')),
+        '⚠️ deprecated: Node 14 end-of-life 2023-04-30')
+    })
+
+    it('points the included image to the newest image running as the same user', () => {
+      const included = (tag, node, nodeEol, user) => ({
+        folder: `included/${tag}`,
+        manifest: {name: 'cypress/included', tag, node, nodeEol, os: 'buster', status: 'published', user}
+      })
+      const includedImages = [
+        included('4.0.0-node', '13.6.0', '2020-06-01', 'node'),
+        included('6.4.0-node', '12.18.3', '2022-04-30', 'node'),
+        included('6.5.0', '12.18.3', '2022-04-30', 'root')
+      ]
+      assert.strictEqual(deprecationNote(includedImages[0], includedImages, today),
+        '⚠️ deprecated: Node 13 end-of-life 2020-06-01, use [cypress/included:6.4.0-node](6.4.0-node)')
+    })
+  })
+
+  it('reads the end-of-life date recorded in the README', () => {
+    const text = '<!-- IMAGES TABLE START -->\n<!-- Node end-of-life as of 2021-02-01 -->\nName + Tag | Node\n'
+    assert.deepStrictEqual(readEolDate(text), new Date('2021-02-01'))
+    assert.strictEqual(readEolDate('Name + Tag | Node\n'), null)
+  })
+})
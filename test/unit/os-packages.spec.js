@@ -0,0 +1,27 @@
+const assert = require('assert')
+const {osFamily, hasNodeUser} = require('../../os-packages')
+
+describe('os-packages', () => {
+  it('finds the package family of the image operating system', () => {
+    assert.strictEqual(osFamily('buster'), 'debian')
+    assert.strictEqual(osFamily('jessie'), 'debian')
+    assert.strictEqual(osFamily(null), 'debian')
+    assert.strictEqual(osFamily('ubuntu20'), 'ubuntu')
+    assert.strictEqual(osFamily('centos7'), 'rhel')
+    assert.strictEqual(osFamily('manjaro'), null)
+  })
+
+  context('hasNodeUser', () => {
+    it('finds the user "node" in the Docker Node images', () => {
+      assert.ok(hasNodeUser('buster'))
+      assert.ok(hasNodeUser('stretch'))
+      // the tags without the operating system are Debian Node images
+      assert.ok(hasNodeUser(null))
+    })
+
+    it('has no user "node" on the operating systems installing Node', () => {
+      assert.ok(!hasNodeUser('ubuntu20'))
+      assert.ok(!hasNodeUser('centos7'))
+    })
+  })
+})
@@ -0,0 +1,49 @@
+const assert = require('assert')
+const {
+  parsePlatforms,
+  isMultiPlatform,
+  platformBrowsers,
+  platformsWithoutCypress
+} = require('../../platforms')
+
+describe('platforms', () => {
+  context('parsePlatforms', () => {
+    it('keeps the canonical order', () => {
+      assert.deepStrictEqual(parsePlatforms('linux/arm64, linux/amd64'), ['linux/amd64', 'linux/arm64'])
+    })
+
+    it('throws on unknown platform', () => {
+      assert.throws(() => parsePlatforms('linux/s390x'), /Unknown platform "linux\/s390x"/)
+    })
+
+    it('throws on empty list', () => {
+      assert.throws(() => parsePlatforms(','), /expected platforms/)
+    })
+  })
+
+  it('detects multi-platform images', () => {
+    assert.ok(!isMultiPlatform(['linux/amd64']))
+    assert.ok(isMultiPlatform(['linux/amd64', 'linux/arm64']))
+  })
+
+  context('platformBrowsers', () => {
+    it('installs every browser on linux/amd64', () => {
+      assert.deepStrictEqual(platformBrowsers('linux/amd64', ['chrome', 'firefox']), [
+        {browser: 'chrome', installed: 'chrome'},
+        {browser: 'firefox', installed: 'firefox'}
+      ])
+    })
+
+    it('replaces Chrome with Chromium on linux/arm64', () => {
+      assert.deepStrictEqual(platformBrowsers('linux/arm64', ['chrome', 'firefox', 'edge']), [
+        {browser: 'chrome', installed: 'chromium'}
+      ])
+    })
+  })
+
+  it('finds the platforms without Cypress binary', () => {
+    const list = ['linux/amd64', 'linux/arm64']
+    assert.deepStrictEqual(platformsWithoutCypress(list, '9.7.0'), ['linux/arm64'])
+    assert.deepStrictEqual(platformsWithoutCypress(list, '10.0.0'), [])
+  })
+})
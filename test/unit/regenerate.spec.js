@@ -0,0 +1,79 @@
+const assert = require('assert')
+const path = require('path')
+const {parseGenerateCommand, planRegeneration, formatSkipped} = require('../../regenerate')
+
+const folder = (name) => path.join(__dirname, 'fixtures', 'regenerate', name)
+
+const folders = [
+  'base/18.16.0',
+  'base/20.9.0',
+  'base/ubuntu20-node20.9.0',
+  'included/13.6.0',
+  'included/13.7.0',
+  'included/6.9.0'
+].map(folder)
+
+// the folder names relative to the fixtures
+const names = (list) => list.map((image) => path.relative(folder(''), image.folder))
+
+describe('regenerate', () => {
+  context('parseGenerateCommand', () => {
+    it('finds the generator script and its arguments', () => {
+      assert.deepStrictEqual(parseGenerateCommand('npm run add:base -- 14.16.0 --os ubuntu20 --fonts full'), {
+        generator: 'generate-base-image.js',
+        args: ['14.16.0', '--os', 'ubuntu20', '--fonts', 'full']
+      })
+    })
+
+    it('returns null for unknown scripts', () => {
+      assert.strictEqual(parseGenerateCommand('npm run build -- --ci github'), null)
+      assert.strictEqual(parseGenerateCommand('npm run add:base'), null)
+    })
+  })
+
+  context('planRegeneration', () => {
+    it('regenerates the folders with the generator command in the header', () => {
+      const {regenerate} = planRegeneration(folders)
+      assert.deepStrictEqual(names(regenerate), ['base/ubuntu20-node20.9.0', 'included/13.6.0'])
+      assert.deepStrictEqual(regenerate[1].args, ['13.6.0', 'cypress/browsers:node18.12.0-chrome107'])
+      assert.strictEqual(regenerate[1].generator, 'generate-included-image.js')
+    })
+
+    it('skips the published, edited and not generated folders', () => {
+      const {skipped} = planRegeneration(folders)
+      assert.deepStrictEqual(skipped.map((skip) => `${path.relative(folder(''), skip.folder)} ${skip.reason}`), [
+        'base/18.16.0 no header',
+        'base/20.9.0 edited',
+        'included/13.7.0 edited',
+        'included/6.9.0 published'
+      ])
+      assert.deepStrictEqual(formatSkipped(skipped).map((line) => line.replace(folder('') + path.sep, '')), [
+        'skipped 2 folder(s) edited by hand',
+        '  base/20.9.0: the files record different commands: npm run add:base -- 20.9.0 --fonts full, ' +
+          'npm run add:base -- 20.9.0',
+        '  included/13.7.0: edited by hand after it was generated: Dockerfile',
+        'skipped 1 folder(s) without the generator command',
+        '  base/18.16.0: the files have no generator command in the header',
+        'skipped 1 published, frozen or deprecated folder(s) matching their generator command, ' +
+          'they cannot be generated again'
+      ])
+    })
+
+    it('lists the published folders without the header', () => {
+      const {skipped} = planRegeneration([folder('included/6.8.0')])
+      assert.deepStrictEqual(skipped.map((skip) => skip.reason), ['no header'])
+    })
+
+    it('leaves out the images outside the version range', () => {
+      const {regenerate, skipped} = planRegeneration(folders, {range: '>=20 <21'})
+      assert.deepStrictEqual(names(regenerate), ['base/ubuntu20-node20.9.0'])
+      assert.deepStrictEqual(names(skipped), ['base/20.9.0'])
+    })
+
+    it('matches the Cypress version of the included images', () => {
+      const {regenerate, skipped} = planRegeneration(folders, {range: '^13.6.0'})
+      assert.deepStrictEqual(names(regenerate), ['included/13.6.0'])
+      assert.deepStrictEqual(names(skipped), ['included/13.7.0'])
+    })
+  })
+})
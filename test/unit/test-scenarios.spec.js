@@ -0,0 +1,81 @@
+const assert = require('assert')
+const {selectScenarios, scenarioSteps} = require('../../test-scenarios')
+const {manifestFromTag} = require('../../image-manifest')
+
+// scenario context of the image without any files
+const imageContext = (kind, tag, manifest = {}) => ({
+  imageAndTag: {
+    name: kind,
+    tag,
+    manifest: {...manifestFromTag(kind, tag), ...manifest}
+  },
+  image: `cypress/${kind}:${tag}`,
+  folder: `${kind}/${tag}`,
+  platform: 'linux/amd64'
+})
+
+const selectedIds = (scenarioContext) => selectScenarios(scenarioContext).map(({scenario}) => scenario.id)
+
+describe('test-scenarios', () => {
+  context('selectScenarios', () => {
+    it('runs the default scenarios of the image kind', () => {
+      assert.deepStrictEqual(selectedIds(imageContext('base', '14.16.0')), ['node-version', 'cly-init', 'kitchensink'])
+      assert.deepStrictEqual(selectedIds(imageContext('included', '6.9.0')),
+        ['cypress-info', 'node-version', 'cly-init', 'kitchensink'])
+    })
+
+    it('runs the non-root user scenario for the images with non-root user', () => {
+      const ids = selectedIds(imageContext('included', '6.9.0-node', {user: 'node'}))
+      assert.ok(ids.includes('non-root-user'))
+    })
+
+    it('turns the scenarios on and off from the manifest', () => {
+      const ids = selectedIds(imageContext('included', '6.9.0', {
+        test: {scenarios: {'kitchensink': false, 'plugins': true}}
+      }))
+      assert.deepStrictEqual(ids, ['cypress-info', 'node-version', 'cly-init', 'plugins'])
+    })
+
+    it('merges the manifest parameters with the defaults', () => {
+      const selected = selectScenarios(imageContext('base', '14.16.0', {
+        test: {scenarios: {kitchensink: {minPassing: 50}}}
+      }))
+      const kitchensink = selected.find(({scenario}) => scenario.id === 'kitchensink')
+      assert.deepStrictEqual(kitchensink.params, {minPassing: 50})
+    })
+
+    it('throws on unknown scenario', () => {
+      const scenarioContext = imageContext('base', '14.16.0', {test: {scenarios: {plugins: true}}})
+      assert.throws(() => selectScenarios(scenarioContext), /unknown test scenario "plugins"/)
+    })
+  })
+
+  context('scenarioSteps', () => {
+    it('uses the scenario parameters in the steps', () => {
+      const steps = scenarioSteps(imageContext('base', '14.16.0', {
+        test: {scenarios: {'node-version': false, 'cly-init': false, 'kitchensink': {minPassing: 50}}}
+      }))
+      assert.strictEqual(steps.length, 1)
+      assert.ok(steps[0].command.includes('cypress-expect run --min-passing 50'))
+    })
+
+    it('tests with the plugins from the example folder', () => {
+      const steps = scenarioSteps(imageContext('included', '6.9.0', {
+        test: {scenarios: {'cypress-info': false, 'node-version': false, 'cly-init': false, 'kitchensink': false, 'plugins': true}}
+      }))
+      assert.deepStrictEqual(steps.map((step) => step.name), ['Testing with plugins from examples/included-with-plugins/src'])
+    })
+
+    it('checks the labels of the images generated with them', () => {
+      const steps = scenarioSteps(imageContext('base', '14.16.0', {
+        test: {scenarios: {'node-version': false, 'cly-init': false, 'kitchensink': false, 'labels': true}}
+      }))
+      assert.deepStrictEqual(steps.map((step) => step.name), ['Check labels'])
+      assert.ok(steps[0].command.includes('/tmp/check-image-versions.js --labels /tmp/image-labels.json cypress/base:14.16.0'))
+    })
+
+    it('throws if the browsers image has no browsers', () => {
+      assert.throws(() => scenarioSteps(imageContext('browsers', 'node14.16.0-chrome89', {browsers: {}})), /Cannot find any browsers/)
+    })
+  })
+})
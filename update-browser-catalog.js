@@ -0,0 +1,280 @@
+// @ts-check
+// refreshes browser-catalog.json from the browser release feeds
+//   npm run update:catalog
+// the feeds can be read from a local mirror, a folder or a web server
+// with the files chrome.json, firefox.json and edge.json saved from the feeds below
+//   npm run update:catalog -- --mirror ./feeds
+//   npm run update:catalog -- --mirror http://mirror.local/browser-feeds --dry-run
+// only the major versions from the oldest major already in the catalog are added
+const fs = require('fs')
+const path = require('path')
+const http = require('http')
+const https = require('https')
+const arg = require('arg')
+const {catalogFilename, loadCatalog, formatCatalog, majorOf, edgeChannels} = require('./browser-catalog')
+
+/**
+ * @typedef {object} FeedRelease
+ * @property {string} version Full version like "87.0.4280.66"
+ * @property {string|null} date Release date like "2020-11-17"
+ * @property {string} [channel] Edge channel like "stable"
+ */
+
+/**
+ * Turns the feed JSON into the list of stable releases
+ * @callback FeedParser
+ * @param {any} json
+ * @returns {FeedRelease[]}
+ */
+
+/**
+ * Returns "2020-11-17" from "2020-11-17T18:00:00Z" or null
+ * @param {string} [time]
+ */
+const toDate = (time) => time ? time.slice(0, 10) : null
+
+/** @type {FeedParser} */
+const parseChromeFeed = (json) => json.releases.map((release) => ({
+  version: release.version,
+  date: toDate(release.serving && release.serving.startTime)
+}))
+
+/** @type {FeedParser} */
+const parseFirefoxFeed = (json) => Object.keys(json.releases)
+  .map((key) => json.releases[key])
+  .filter((release) => release.category === 'major' || release.category === 'stability')
+  .map((release) => ({version: release.version, date: release.date}))
+
+// we prefer the most stable Edge channel that has the major version, see "edgeChannels"
+
+/** @type {FeedParser} */
+const parseEdgeFeed = (json) => {
+  /** @type {FeedRelease[]} */
+  const releases = []
+  json.forEach((product) => {
+    const channel = product.Product.toLowerCase()
+    if (!edgeChannels.includes(channel)) {
+      return
+    }
+    product.Releases
+      .filter((release) => release.Platform === 'Linux' && release.Architecture === 'x64')
+      .forEach((release) => {
+        releases.push({version: release.ProductVersion, date: toDate(release.PublishedTime), channel})
+      })
+  })
+  return releases
+}
+
+/**
+ * @type {{[browser: string]: {url: string, parse: FeedParser}}}
+ */
+const feeds = {
+  chrome: {
+    url: 'https://versionhistory.googleapis.com/v1/chrome/platforms/linux/channels/stable/versions/all/releases?pageSize=1000',
+    parse: parseChromeFeed
+  },
+  firefox: {
+    url: 'https://product-details.mozilla.org/1.0/firefox.json',
+    parse: parseFirefoxFeed
+  },
+  edge: {
+    url: 'https://edgeupdates.microsoft.com/api/products',
+    parse: parseEdgeFeed
+  }
+}
+
+/**
+ * Compares browser versions with any number of parts like "87.0.4280.66" and "82.0"
+ * @param {string} a
+ * @param {string} b
+ */
+const compareVersions = (a, b) => {
+  const aParts = a.split('.').map(Number)
+  const bParts = b.split('.').map(Number)
+  for (let k = 0; k < Math.max(aParts.length, bParts.length); k += 1) {
+    const diff = (aParts[k] || 0) - (bParts[k] || 0)
+    if (diff) {
+      return diff
+    }
+  }
+  return 0
+}
+
+/**
+ * Returns the earlier of two dates, ignoring the unknown dates
+ * @param {string|null} a
+ * @param {string|null} b
+ */
+const earlierDate = (a, b) => {
+  if (!a || !b) {
+    return a || b
+  }
+  return a < b ? a : b
+}
+
+/**
+ * Returns the catalog entry majors updated with the feed releases: every major version
+ * gets its latest release, the release date is the date of the first release of the major version.
+ * Major versions older than the oldest major in the catalog are skipped,
+ * the existing major versions missing from the feed are kept.
+ * @param {import('./browser-catalog').CatalogEntry['majors']} majors
+ * @param {FeedRelease[]} releases
+ */
+const updateMajors = (majors, releases) => {
+  const known = Object.keys(majors).map(Number)
+  const oldest = known.length ? Math.min(...known) : 0
+  /** @type {import('./browser-catalog').CatalogEntry['majors']} */
+  const updated = {}
+  Object.keys(majors).forEach((major) => {
+    updated[major] = {...majors[major]}
+  })
+
+  const channelRank = (release) => release.channel ? edgeChannels.indexOf(release.channel) : 0
+  releases
+    .filter((release) => /^\d+(\.\d+)+$/.test(release.version))
+    .filter((release) => Number(majorOf(release.version)) >= oldest)
+    .forEach((release) => {
+      const major = majorOf(release.version)
+      const current = updated[major]
+      if (!current) {
+        updated[major] = {version: release.version, released: release.date}
+      } else {
+        const rankDiff = channelRank(release) - channelRank(current)
+        if (rankDiff < 0 || (rankDiff === 0 && compareVersions(release.version, current.version) > 0)) {
+          current.version = release.version
+        }
+        current.released = earlierDate(current.released, release.date)
+      }
+      if (release.channel && updated[major].version === release.version) {
+        updated[major].channel = release.channel
+      }
+    })
+  return updated
+}
+
+/**
+ * Reads the feed from the URL or from the local file
+ * @param {string} location
+ * @returns {Promise<any>}
+ */
+const readFeed = (location) => {
+  if (!/^https?:\/\//.test(location)) {
+    return Promise.resolve(JSON.parse(fs.readFileSync(location, 'utf8')))
+  }
+  const client = location.startsWith('https:') ? https : http
+  return new Promise((resolve, reject) => {
+    client.get(location, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume()
+        reject(new Error(`cannot fetch ${location}, got status ${res.statusCode}`))
+        return
+      }
+      let body = ''
+      res.setEncoding('utf8')
+      res.on('data', (chunk) => {
+        body += chunk
+      })
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(body))
+        } catch (e) {
+          reject(new Error(`cannot parse ${location}: ${e.message}`))
+        }
+      })
+    }).on('error', reject)
+  })
+}
+
+/**
+ * Returns the feed location of the browser, from the mirror if given
+ * @param {string} browser
+ * @param {string} [mirror] Local folder or base URL with "<browser>.json" files
+ */
+const feedLocation = (browser, mirror) => {
+  if (!mirror) {
+    return feeds[browser].url
+  }
+  if (/^https?:\/\//.test(mirror)) {
+    return `${mirror.replace(/\/$/, '')}/${browser}.json`
+  }
+  return path.join(mirror, `${browser}.json`)
+}
+
+/**
+ * Returns the catalog updated from the feeds, the given catalog is not changed
+ * @param {import('./browser-catalog').BrowserCatalog} catalog
+ * @param {{mirror?: string, browsers?: string[]}} [options]
+ */
+const updateCatalog = async (catalog, {mirror, browsers = Object.keys(feeds)} = {}) => {
+  const updated = {...catalog}
+  for (const browser of browsers) {
+    if (!feeds[browser]) {
+      throw new Error(`Unknown browser "${browser}", expected one of ${Object.keys(feeds).join(', ')}`)
+    }
+    const json = await readFeed(feedLocation(browser, mirror))
+    updated[browser] = {
+      ...catalog[browser],
+      majors: updateMajors(catalog[browser].majors, feeds[browser].parse(json))
+    }
+  }
+  return updated
+}
+
+/**
+ * Lists the catalog changes like "chrome 87: 87.0.4280.66 -> 87.0.4280.88"
+ * @param {import('./browser-catalog').BrowserCatalog} before
+ * @param {import('./browser-catalog').BrowserCatalog} after
+ */
+const listChanges = (before, after) => {
+  const changes = []
+  Object.keys(after).forEach((browser) => {
+    Object.keys(after[browser].majors).forEach((major) => {
+      const was = before[browser].majors[major]
+      const now = after[browser].majors[major]
+      if (!was) {
+        changes.push(`${browser} ${major}: ${now.version} (new)`)
+      } else if (was.version !== now.version) {
+        changes.push(`${browser} ${major}: ${was.version} -> ${now.version}`)
+      }
+    })
+  })
+  return changes
+}
+
+const main = async () => {
+  const args = arg({
+    '--mirror': String,
+    '--browser': [String],
+    '--dry-run': Boolean
+  })
+  const catalog = loadCatalog()
+  const updated = await updateCatalog(catalog, {
+    mirror: args['--mirror'],
+    browsers: args['--browser']
+  })
+  const changes = listChanges(catalog, updated)
+  changes.forEach((change) => console.log(change))
+  if (!changes.length) {
+    console.log('browser catalog is up to date')
+  }
+  if (!args['--dry-run']) {
+    fs.writeFileSync(catalogFilename, formatCatalog(updated), 'utf8')
+    console.log('Saved %s', path.relative(process.cwd(), catalogFilename))
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message)
+    process.exit(1)
+  })
+}
+
+module.exports = {
+  parseChromeFeed,
+  parseFirefoxFeed,
+  parseEdgeFeed,
+  updateMajors,
+  updateCatalog,
+  listChanges
+}
@@ -9,4 +9,15 @@ const isStrictSemver = (s) => {
   return cleaned === s
 }
 
-module.exports = { isStrictSemver }
+/**
+ * Indents every non-empty line of the text, used to put
+ * multi-line scripts into YAML block strings
+ * @param {string} text
+ * @param {number} spaces
+ */
+const indent = (text, spaces) => {
+  const prefix = ' '.repeat(spaces)
+  return text.split('\n').map((line) => line ? prefix + line : line).join('\n')
+}
+
+module.exports = { isStrictSemver, indent }